@@ -4,10 +4,13 @@ import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mc
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
 import pkg from 'selenium-webdriver';
-const { Builder, By, Key, until, Actions } = pkg;
+const { Builder, By, Key, until, Actions, Capabilities, Session, WebDriver, WebElement, error, locateWith, Select } = pkg;
 import { Options as ChromeOptions } from 'selenium-webdriver/chrome.js';
 import { Options as FirefoxOptions } from 'selenium-webdriver/firefox.js';
 import { Options as EdgeOptions } from 'selenium-webdriver/edge.js';
+import proxy from 'selenium-webdriver/proxy.js';
+import { Executor, HttpClient } from 'selenium-webdriver/http/index.js';
+import { Button, Origin, Pointer } from 'selenium-webdriver/lib/input.js';
 
 
 // Create an MCP server
@@ -16,245 +19,2618 @@ const server = new McpServer({
     version: "1.0.0"
 });
 
+const registerTool = (name, description, schema, handler) => {
+    server.tool(name, description, schema, withSessionActivity(name, withAlertPolicy(name, withLocatorNotes(handler))));
+};
+
 // Server state
 const state = {
     drivers: new Map(),
+    sessions: new Map(),
     currentSession: null
 };
 
+// Session limits (SELENIUM_IDLE_TIMEOUT is in seconds and 0 disables the idle reaper),
+// the attribute used by the test_id locator strategy and whether tools may run arbitrary JavaScript
+const config = {
+    idleTimeout: Number(process.env.SELENIUM_IDLE_TIMEOUT || 0) * 1000,
+    maxSessions: Number(process.env.SELENIUM_MAX_SESSIONS || 0),
+    testIdAttribute: process.env.SELENIUM_TEST_ID_ATTRIBUTE || 'data-testid',
+    allowScripts: !['0', 'false', 'no', 'off'].includes((process.env.SELENIUM_ALLOW_SCRIPTS || '').toLowerCase())
+};
+
 // Helper functions
-const getDriver = () => {
-    const driver = state.drivers.get(state.currentSession);
+const getDriver = (sessionId) => {
+    const id = sessionId || state.currentSession;
+    const driver = state.drivers.get(id);
     if (!driver) {
-        throw new Error('No active browser session');
+        throw new Error(sessionId ? `Browser session ${sessionId} not found` : 'No active browser session');
+    }
+    state.sessions.get(id).lastActivity = Date.now();
+    return driver;
+};
+
+const getSessionInfo = (sessionId) => state.sessions.get(sessionId || state.currentSession);
+
+const registerSession = (sessionId, driver, info = {}) => {
+    state.drivers.set(sessionId, driver);
+    state.sessions.set(sessionId, { alertPolicy: 'dismiss', ...info, startedAt: new Date().toISOString(), lastActivity: Date.now(), activeCalls: 0, frames: [], elementRefs: new Map(), elementRefIds: new Map(), fingerprints: new Map(), locatorNotes: [] });
+    state.currentSession = sessionId;
+};
+
+const removeSession = (sessionId) => {
+    state.drivers.delete(sessionId);
+    state.sessions.delete(sessionId);
+    if (state.currentSession === sessionId) {
+        state.currentSession = null;
+    }
+};
+
+// These tools do not use the current session's browser, so they neither hold it open nor count as activity on it
+const SESSION_ACTIVITY_EXEMPT_TOOLS = new Set(['start_browser', 'attach_session', 'list_sessions']);
+
+// Counts the tool calls running against a session, so a long wait_for or script is not taken for idleness.
+// A call that used the session's browser (getDriver marks its activity) also marks it active when it ends.
+const withSessionActivity = (name, handler) => async (args = {}, extra) => {
+    const info = SESSION_ACTIVITY_EXEMPT_TOOLS.has(name) ? null : getSessionInfo(args.session_id);
+    if (!info) {
+        return handler(args, extra);
+    }
+    const { lastActivity } = info;
+    info.activeCalls++;
+    try {
+        return await handler(args, extra);
+    } finally {
+        info.activeCalls--;
+        if (info.lastActivity !== lastActivity) {
+            info.lastActivity = Date.now();
+        }
+    }
+};
+
+const reapIdleSessions = async () => {
+    const now = Date.now();
+    for (const [sessionId, info] of state.sessions) {
+        if (info.activeCalls > 0 || now - info.lastActivity < config.idleTimeout) {
+            continue;
+        }
+        const driver = state.drivers.get(sessionId);
+        removeSession(sessionId);
+        if (!info.attached) {
+            try {
+                await driver.quit();
+            } catch (e) {
+                console.error(`Error closing idle browser session ${sessionId}:`, e);
+            }
+        }
+        console.error(`Browser session ${sessionId} closed after ${config.idleTimeout / 1000}s without activity`);
+    }
+};
+
+if (config.idleTimeout > 0) {
+    setInterval(reapIdleSessions, Math.min(config.idleTimeout, 60000)).unref();
+}
+
+const attachDriver = async (serverUrl, webdriverSessionId) => {
+    const executor = new Executor(new HttpClient(serverUrl));
+    const driver = new WebDriver(new Session(webdriverSessionId, new Capabilities()), executor);
+    try {
+        // Any session command will do; this fails fast if the session does not exist
+        await driver.getCurrentUrl();
+    } catch (e) {
+        if (e.name === 'NoSuchSessionError') {
+            throw new Error(`WebDriver session ${webdriverSessionId} not found on ${serverUrl}`);
+        }
+        throw e;
     }
     return driver;
 };
 
+const describeStartError = (e, remoteUrl) => {
+    if (!remoteUrl) {
+        return e.message;
+    }
+    const message = e.message || String(e);
+    if (['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH'].includes(e.code) || /ECONNREFUSED|ENOTFOUND|EHOSTUNREACH/.test(message)) {
+        return `Could not reach WebDriver server at ${remoteUrl}: ${message}`;
+    }
+    if (!(e instanceof error.WebDriverError)) {
+        return message;
+    }
+    if (/timed out|no free slot|no available slot/i.test(message)) {
+        return `Selenium Grid at ${remoteUrl} has no free slot for a new session: ${message}`;
+    }
+    if (/unable to find provider|no nodes? supports?|capabilit/i.test(message)) {
+        return `Selenium Grid at ${remoteUrl} has no node supporting the requested capabilities: ${message}`;
+    }
+    return `WebDriver server at ${remoteUrl} could not create a session: ${message}`;
+};
+
+const buildProxyConfig = ({ http, https, socks, pac, bypass }) => {
+    if (pac) {
+        return proxy.pac(pac);
+    }
+    const config = proxy.manual({ http, https, bypass });
+    if (socks) {
+        return { ...config, ...proxy.socks(socks, 5) };
+    }
+    return config;
+};
+
+// Maps browserOptionsSchema onto Chrome/Edge/Firefox Options instances
+const applyBrowserOptions = (browserOptions, browser, options) => {
+    const isFirefox = browser === 'firefox';
+    // Leave unexpected alerts open so the session's alert policy can handle them
+    browserOptions.setAlertBehavior('ignore');
+    if (options.headless) {
+        browserOptions.addArguments(isFirefox ? '--headless' : '--headless=new');
+    }
+    if (options.arguments) {
+        options.arguments.forEach(arg => browserOptions.addArguments(arg));
+    }
+    if (options.windowSize) {
+        browserOptions.windowSize(options.windowSize);
+    }
+    if (options.userAgent) {
+        if (isFirefox) {
+            browserOptions.setPreference('general.useragent.override', options.userAgent);
+        } else {
+            browserOptions.addArguments(`--user-agent=${options.userAgent}`);
+        }
+    }
+    if (options.proxy) {
+        browserOptions.setProxy(buildProxyConfig(options.proxy));
+    }
+    if (options.acceptInsecureCerts !== undefined) {
+        browserOptions.setAcceptInsecureCerts(options.acceptInsecureCerts);
+    }
+    if (options.pageLoadStrategy) {
+        browserOptions.setPageLoadStrategy(options.pageLoadStrategy);
+    }
+    if (options.prefs) {
+        if (isFirefox) {
+            Object.entries(options.prefs).forEach(([key, value]) => browserOptions.setPreference(key, value));
+        } else {
+            browserOptions.setUserPreferences(options.prefs);
+        }
+    }
+    if (options.excludeSwitches) {
+        if (isFirefox) {
+            throw new Error('excludeSwitches is only supported for chrome and edge');
+        }
+        browserOptions.excludeSwitches(...options.excludeSwitches);
+    }
+    if (options.capabilities) {
+        Object.entries(options.capabilities).forEach(([key, value]) => browserOptions.set(key, value));
+    }
+    return browserOptions;
+};
+
+// Custom locator for "host >>> inner >>> button": each segment is a CSS selector searched
+// inside the shadow roots of the elements matched by the previous segment
+const shadowLocator = (value) => {
+    const selectors = value.split('>>>').map(selector => selector.trim()).filter(Boolean);
+    return async (context) => {
+        let scopes = [context];
+        for (const [index, selector] of selectors.entries()) {
+            const matches = [];
+            for (const scope of scopes) {
+                matches.push(...await scope.findElements(By.css(selector)));
+            }
+            if (index === selectors.length - 1) {
+                return matches;
+            }
+            scopes = [];
+            for (const host of matches) {
+                try {
+                    scopes.push(await host.getShadowRoot());
+                } catch (e) {
+                    if (!(e instanceof error.NoSuchShadowRootError)) {
+                        throw e;
+                    }
+                }
+            }
+        }
+        return [];
+    };
+};
+
+// Element handles returned by find_element(s), so later calls can target the same element without locating it again.
+// The same element always gets the same ref within a session.
+const rememberElement = async (sessionId, element) => {
+    const info = getSessionInfo(sessionId);
+    const webElementId = await element.getId();
+    let ref = info.elementRefIds.get(webElementId);
+    if (!ref) {
+        ref = `e${info.elementRefs.size + 1}`;
+        info.elementRefs.set(ref, element);
+        info.elementRefIds.set(webElementId, ref);
+    }
+    return ref;
+};
+
+const getElementRef = (sessionId, ref) => {
+    const element = getSessionInfo(sessionId).elementRefs.get(ref);
+    if (!element) {
+        throw new Error(`Unknown element_ref ${ref}; use find_element or find_elements to get one`);
+    }
+    return element;
+};
+
+// Custom locator for an element handle; fails fast with a specific error once the element has gone stale
+const refLocator = (sessionId, ref) => {
+    const element = getElementRef(sessionId, ref);
+    return async () => {
+        try {
+            await element.getTagName();
+        } catch (e) {
+            if (e instanceof error.StaleElementReferenceError) {
+                throw new Error(`Element reference ${ref} is stale because the page changed since it was found; locate the element again with find_element or find_elements`);
+            }
+            throw e;
+        }
+        return [element];
+    };
+};
+
+const relativeDirections = {
+    above: 'above',
+    below: 'below',
+    left_of: 'toLeftOf',
+    right_of: 'toRightOf',
+    near: 'near'
+};
+
+// Narrows a base locator with spatial constraints. Anchors are located first, so they can use any strategy or an element_ref.
+const relativeLocator = (sessionId, base, constraints) => {
+    if (typeof base === 'function') {
+        throw new Error('Relative locators need a base strategy WebDriver can search natively; label, role and css with >>> can only be used for anchors');
+    }
+    const anchors = constraints.map(({ direction, by, value, element_ref }) => {
+        if (!relativeDirections[direction]) {
+            throw new Error(`Unsupported relative direction: ${direction}`);
+        }
+        return { direction, locator: resolveLocator(sessionId, { by, value, element_ref }) };
+    });
+    return async (driver) => {
+        let relative = locateWith(base);
+        for (const { direction, locator } of anchors) {
+            const [anchor] = await driver.findElements(locator);
+            if (!anchor) {
+                return [];
+            }
+            relative = relative[relativeDirections[direction]](anchor);
+        }
+        return driver.findElements(relative);
+    };
+};
+
+// Tries each candidate in turn and remembers which one matched. The candidate list doubles as the key for
+// the fingerprint of the last element it found, which locateElement uses to heal the locator.
+const candidateLocator = (sessionId, candidates, heal) => {
+    const locators = candidates.map(({ by, value, relative }) => resolveLocator(sessionId, { by, value, relative }));
+    const locator = async (driver) => {
+        for (const [index, candidate] of locators.entries()) {
+            const elements = await driver.findElements(candidate);
+            if (elements.length) {
+                locator.matched = index;
+                return elements;
+            }
+        }
+        return [];
+    };
+    return Object.assign(locator, { candidates, heal, fingerprintKey: JSON.stringify(candidates) });
+};
+
+const resolveLocator = (sessionId, { by, value, element_ref, relative, candidates, heal }) => {
+    if (element_ref) {
+        if (relative?.length) {
+            throw new Error('relative constraints apply to by and value, not element_ref');
+        }
+        return refLocator(sessionId, element_ref);
+    }
+    if (candidates?.length || heal) {
+        const all = [...(by ? [{ by, value, relative }] : []), ...(candidates || [])];
+        if (all.length) {
+            return candidateLocator(sessionId, all, heal);
+        }
+    }
+    if (!by || value === undefined) {
+        throw new Error('Provide by and value, or element_ref');
+    }
+    const locator = getLocator(by, value);
+    return relative?.length ? relativeLocator(sessionId, locator, relative) : locator;
+};
+
+// Runs in the browser: one summary per element for find_elements
+function summarizeElements(elements) {
+    const attributeNames = ['id', 'name', 'class', 'type', 'href', 'placeholder', 'aria-label', 'role', 'value', 'data-testid'];
+    return elements.map(element => {
+        const rect = element.getBoundingClientRect();
+        const style = window.getComputedStyle(element);
+        const attributes = {};
+        for (const name of attributeNames) {
+            if (element.hasAttribute(name)) {
+                attributes[name] = element.getAttribute(name);
+            }
+        }
+        const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+        return {
+            tag: element.tagName.toLowerCase(),
+            text: text.length > 80 ? `${text.slice(0, 77)}...` : text,
+            attributes,
+            visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none',
+            rect: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) }
+        };
+    });
+}
+
+// Quotes a string for use in an XPath expression, falling back to concat() when it contains both quote types
+const xpathLiteral = (text) => {
+    if (!text.includes("'")) {
+        return `'${text}'`;
+    }
+    if (!text.includes('"')) {
+        return `"${text}"`;
+    }
+    return `concat('${text.split("'").join(`', "'", '`)}')`;
+};
+
+// Deepest elements whose normalized text matches, so a match does not also return all of its ancestors
+const textXPath = (text, contains) => {
+    const literal = xpathLiteral(text.replace(/\s+/g, ' ').trim());
+    const test = contains ? `contains(normalize-space(.), ${literal})` : `normalize-space(.)=${literal}`;
+    return `//*[not(self::script or self::style or self::head or self::title)][${test}][not(.//*[${test}])]`;
+};
+
+// Runs in the browser: what locateElement remembers about an element so it can be recognized after the page changes
+function fingerprintElement(element, testIdAttribute) {
+    const rect = element.getBoundingClientRect();
+    const attributes = {};
+    for (const name of ['id', 'name', 'class', 'type', 'placeholder', 'aria-label', 'href', 'role', testIdAttribute]) {
+        if (element.hasAttribute(name)) {
+            attributes[name] = element.getAttribute(name);
+        }
+    }
+    return {
+        tag: element.tagName.toLowerCase(),
+        text: (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 100),
+        attributes,
+        x: rect.x + rect.width / 2 + window.scrollX,
+        y: rect.y + rect.height / 2 + window.scrollY
+    };
+}
+
+// Runs in the browser: the element with the same tag that best matches a fingerprint's text, attributes and
+// position, scored from 0 to 1, or null when nothing scores at least 0.5
+function findSimilarElement(fingerprint) {
+    let best = null;
+    for (const element of document.querySelectorAll(fingerprint.tag)) {
+        let score = 0;
+        let max = 1;
+        const text = (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+        if (fingerprint.text) {
+            max += 3;
+            if (text === fingerprint.text) {
+                score += 3;
+            } else if (text && (text.includes(fingerprint.text) || fingerprint.text.includes(text))) {
+                score += 1.5;
+            }
+        }
+        for (const [name, expected] of Object.entries(fingerprint.attributes)) {
+            max += 1;
+            const actual = element.getAttribute(name);
+            if (actual === expected) {
+                score += 1;
+            } else if (name === 'class' && actual) {
+                const expectedClasses = expected.split(/\s+/).filter(Boolean);
+                const shared = actual.split(/\s+/).filter(c => expectedClasses.includes(c)).length;
+                score += shared / Math.max(expectedClasses.length, actual.split(/\s+/).filter(Boolean).length);
+            }
+        }
+        const rect = element.getBoundingClientRect();
+        const distance = Math.hypot(rect.x + rect.width / 2 + window.scrollX - fingerprint.x, rect.y + rect.height / 2 + window.scrollY - fingerprint.y);
+        score += Math.max(0, 1 - distance / 200);
+        if (!best || score / max > best.similarity) {
+            best = { element, similarity: score / max };
+        }
+    }
+    return best && best.similarity >= 0.5 ? best : null;
+}
+
+// Runs in the browser, together with findByRole (see SUGGEST_LOCATORS_SCRIPT): robust locators for an element,
+// each with the number of elements it matches in the current document; unique ones come first, in order of preference
+function suggestLocators(element, testIdAttribute) {
+    const normalize = value => (value || '').replace(/\s+/g, ' ').trim();
+    const count = (selector) => {
+        try {
+            return document.querySelectorAll(selector).length;
+        } catch (e) {
+            return 0;
+        }
+    };
+    const literal = text => !text.includes("'") ? `'${text}'`
+        : !text.includes('"') ? `"${text}"`
+        : `concat('${text.split("'").join(`', "'", '`)}')`;
+    const suggestions = [];
+    const add = (by, value, matches) => suggestions.push({ by, value, matches, unique: matches === 1 });
+    const tag = element.tagName.toLowerCase();
+
+    if (element.id) {
+        add('id', element.id, count(`#${CSS.escape(element.id)}`));
+    }
+    const testId = element.getAttribute(testIdAttribute);
+    if (testId) {
+        add('test_id', testId, count(`[${testIdAttribute}="${CSS.escape(testId)}"]`));
+    }
+    const name = element.getAttribute('name');
+    if (name) {
+        add('name', name, count(`[name="${CSS.escape(name)}"]`));
+    }
+    const aria = findByRole(element, null);
+    if (aria.role && aria.name) {
+        add('role', `${aria.role}:${aria.name}`, findByRole(null, aria.role, aria.name).length);
+    }
+
+    // Class- and attribute-qualified selectors describe the element; a bare tag or a positional path only says
+    // where it happens to be, so those come after the text XPath
+    const classes = [...element.classList].map(c => `.${CSS.escape(c)}`);
+    const attributes = ['type', 'placeholder', 'aria-label', 'title', 'alt', 'href', 'for']
+        .filter(attribute => element.getAttribute(attribute))
+        .map(attribute => `[${attribute}="${CSS.escape(element.getAttribute(attribute))}"]`);
+    const qualified = [...classes, ...attributes].map(part => tag + part);
+    if (classes.length > 1) {
+        qualified.push(tag + classes.join(''));
+    }
+    const css = qualified.find(selector => count(selector) === 1);
+    if (css) {
+        add('css', css, 1);
+    }
+
+    const text = normalize(element.textContent);
+    if (text && text.length <= 60) {
+        const xpath = `//${tag}[normalize-space(.)=${literal(text)}]`;
+        add('xpath', xpath, document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength);
+    }
+
+    if (!css) {
+        if (count(tag) === 1) {
+            add('css', tag, 1);
+        } else {
+            const path = [];
+            for (let node = element; node; node = node.parentElement) {
+                if (node !== element && node.id) {
+                    path.unshift(`#${CSS.escape(node.id)}`);
+                    break;
+                }
+                const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [node];
+                path.unshift(siblings.length > 1 ? `${node.tagName.toLowerCase()}:nth-of-type(${siblings.indexOf(node) + 1})` : node.tagName.toLowerCase());
+            }
+            add('css', path.join(' > '), count(path.join(' > ')));
+        }
+    }
+    return suggestions.filter(s => s.unique).concat(suggestions.filter(s => !s.unique));
+}
+
+// Runs in the browser: scrolls a container, or the page, to its end and returns its scroll height
+function scrollToEnd(container) {
+    const target = container || document.scrollingElement || document.documentElement;
+    target.scrollTop = target.scrollHeight;
+    return target.scrollHeight;
+}
+
+// Runs in the browser: form controls labelled by <label>, aria-label or aria-labelledby text
+function findByLabel(root, text) {
+    const normalize = value => (value || '').replace(/\s+/g, ' ').trim();
+    const scope = root || document;
+    const matches = new Set();
+    for (const label of scope.querySelectorAll('label')) {
+        if (normalize(label.textContent) === text && label.control) {
+            matches.add(label.control);
+        }
+    }
+    for (const element of scope.querySelectorAll('[aria-label], [aria-labelledby]')) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        const name = labelledBy
+            ? labelledBy.split(/\s+/).map(id => (document.getElementById(id) || {}).textContent).join(' ')
+            : element.getAttribute('aria-label');
+        if (normalize(name) === text) {
+            matches.add(element);
+        }
+    }
+    return Array.from(matches);
+}
+
+// Runs in the browser: elements with an explicit or implicit ARIA role and, optionally, an exact accessible name.
+// With a null role it instead describes root itself as { role, name }.
+function findByRole(root, role, name) {
+    const normalize = value => (value || '').replace(/\s+/g, ' ').trim();
+    const inputRoles = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox'
+    };
+    const implicitRole = (element) => {
+        const tag = element.tagName.toLowerCase();
+        switch (tag) {
+            case 'a': case 'area': return element.hasAttribute('href') ? 'link' : null;
+            case 'button': return 'button';
+            case 'input': return element.type === 'hidden' ? null : inputRoles[element.type] || 'textbox';
+            case 'textarea': return 'textbox';
+            case 'select': return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+            case 'option': return 'option';
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+            case 'img': return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+            case 'ul': case 'ol': return 'list';
+            case 'li': return 'listitem';
+            case 'nav': return 'navigation';
+            case 'main': return 'main';
+            case 'header': return 'banner';
+            case 'footer': return 'contentinfo';
+            case 'aside': return 'complementary';
+            case 'form': return 'form';
+            case 'dialog': return 'dialog';
+            case 'table': return 'table';
+            case 'tr': return 'row';
+            case 'td': return 'cell';
+            case 'th': return 'columnheader';
+            case 'progress': return 'progressbar';
+            default: return null;
+        }
+    };
+    const accessibleName = (element) => {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            return labelledBy.split(/\s+/).map(id => (document.getElementById(id) || {}).textContent).join(' ');
+        }
+        if (element.getAttribute('aria-label')) {
+            return element.getAttribute('aria-label');
+        }
+        if (element.labels && element.labels.length) {
+            return Array.from(element.labels).map(label => label.textContent).join(' ');
+        }
+        if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+            return element.value;
+        }
+        if (element.tagName === 'IMG' || (element.tagName === 'INPUT' && element.type === 'image')) {
+            return element.getAttribute('alt');
+        }
+        return normalize(element.innerText || element.textContent)
+            || element.getAttribute('title')
+            || element.getAttribute('placeholder');
+    };
+    if (role === null) {
+        return {
+            role: (root.getAttribute('role') || '').split(/\s+/)[0] || implicitRole(root),
+            name: normalize(accessibleName(root))
+        };
+    }
+    return Array.from((root || document).querySelectorAll('*')).filter(element => {
+        const explicitRole = (element.getAttribute('role') || '').split(/\s+/)[0];
+        if ((explicitRole || implicitRole(element)) !== role) {
+            return false;
+        }
+        return name === null || normalize(accessibleName(element)) === name;
+    });
+}
+
+const SUGGEST_LOCATORS_SCRIPT = `${findByRole}\n${suggestLocators}\nreturn suggestLocators(arguments[0], arguments[1]);`;
+
+// Custom locator that runs one of the in-browser finders above against the document or a parent element
+const scriptLocator = (finder, ...args) => async (context) => {
+    const isDriver = typeof context.executeScript === 'function';
+    const driver = isDriver ? context : context.getDriver();
+    return driver.executeScript(finder, isDriver ? null : context, ...args);
+};
+
 const getLocator = (by, value) => {
     switch (by.toLowerCase()) {
         case 'id': return By.id(value);
-        case 'css': return By.css(value);
+        case 'css': return value.includes('>>>') ? shadowLocator(value) : By.css(value);
         case 'xpath': return By.xpath(value);
         case 'name': return By.name(value);
-        case 'tag': return By.css(value);
+        case 'tag': return By.tagName(value);
         case 'class': return By.className(value);
+        case 'link_text': return By.linkText(value);
+        case 'partial_link_text': return By.partialLinkText(value);
+        case 'text': return By.xpath(textXPath(value, false));
+        case 'text_contains': return By.xpath(textXPath(value, true));
+        case 'label': return scriptLocator(findByLabel, value.replace(/\s+/g, ' ').trim());
+        case 'placeholder': return By.css(`[placeholder=${JSON.stringify(value)}]`);
+        case 'role': {
+            // "button" or "button:Save changes"
+            const separator = value.indexOf(':');
+            const role = (separator === -1 ? value : value.slice(0, separator)).trim();
+            const name = separator === -1 ? null : value.slice(separator + 1).replace(/\s+/g, ' ').trim();
+            return scriptLocator(findByRole, role, name);
+        }
+        case 'test_id': return By.css(`[${config.testIdAttribute}=${JSON.stringify(value)}]`);
         default: throw new Error(`Unsupported locator strategy: ${by}`);
     }
-};
+};
+
+// Each wait condition reports whether it is met plus what it saw, so timeouts can say why they failed
+const waitConditions = {
+    visible: async (driver, { locator }) => {
+        const [element] = await driver.findElements(locator);
+        if (!element) {
+            return { met: false, observed: 'no matching element' };
+        }
+        const displayed = await element.isDisplayed();
+        return { met: displayed, observed: displayed ? 'displayed' : 'present but not displayed' };
+    },
+    hidden: async (driver, { locator }) => {
+        const [element] = await driver.findElements(locator);
+        if (!element) {
+            return { met: true, observed: 'no matching element' };
+        }
+        const displayed = await element.isDisplayed();
+        return { met: !displayed, observed: displayed ? 'displayed' : 'present but not displayed' };
+    },
+    enabled: async (driver, { locator }) => {
+        const [element] = await driver.findElements(locator);
+        if (!element) {
+            return { met: false, observed: 'no matching element' };
+        }
+        const enabled = await element.isEnabled();
+        return { met: enabled, observed: enabled ? 'enabled' : 'disabled' };
+    },
+    stale: async (driver, { element }) => {
+        try {
+            await element.isEnabled();
+            return { met: false, observed: 'element still attached to the DOM' };
+        } catch (e) {
+            if (e instanceof error.StaleElementReferenceError) {
+                return { met: true, observed: 'element is stale' };
+            }
+            throw e;
+        }
+    },
+    text_present: async (driver, { locator, text }) => {
+        const [element] = await driver.findElements(locator);
+        if (!element) {
+            return { met: false, observed: 'no matching element' };
+        }
+        const elementText = await element.getText();
+        return { met: elementText.includes(text), observed: JSON.stringify(elementText) };
+    },
+    title_contains: async (driver, { text }) => {
+        const title = await driver.getTitle();
+        return { met: title.includes(text), observed: JSON.stringify(title) };
+    },
+    url_matches: async (driver, { pattern }) => {
+        const url = await driver.getCurrentUrl();
+        return { met: new RegExp(pattern).test(url), observed: url };
+    },
+    js_truthy: async (driver, { script }) => {
+        const result = await driver.executeScript(`return (${script});`);
+        return { met: Boolean(result), observed: JSON.stringify(result) ?? 'undefined' };
+    },
+    alert_present: async (driver) => {
+        try {
+            const alert = await driver.switchTo().alert();
+            return { met: true, observed: `alert with text ${JSON.stringify(await alert.getText())}` };
+        } catch (e) {
+            if (e instanceof error.NoSuchAlertError) {
+                return { met: false, observed: 'no alert open' };
+            }
+            throw e;
+        }
+    }
+};
+
+const elementWaitConditions = ['visible', 'hidden', 'enabled', 'stale', 'text_present'];
+
+// Returns a short description of the element covering the target's center point, or null if nothing covers it.
+// document.elementFromPoint stops at the outermost shadow host, so the hit is followed down through open shadow roots,
+// and the target counts as hit when the hit element is the target or inside it across shadow boundaries.
+const HIT_TEST_SCRIPT = `
+    const element = arguments[0];
+    const rect = element.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    let hit = document.elementFromPoint(x, y);
+    while (hit && hit !== element && hit.shadowRoot) {
+        const inner = hit.shadowRoot.elementFromPoint(x, y);
+        if (!inner || inner === hit) {
+            break;
+        }
+        hit = inner;
+    }
+    for (let node = hit; node; node = node.parentNode || node.host) {
+        if (node === element) {
+            return null;
+        }
+    }
+    if (!hit) {
+        return null;
+    }
+    const label = hit.closest('label');
+    if (label && label.control === element) {
+        return null;
+    }
+    let description = hit.tagName.toLowerCase();
+    if (hit.id) {
+        description += '#' + hit.id;
+    }
+    if (typeof hit.className === 'string' && hit.className.trim()) {
+        description += '.' + hit.className.trim().split(/\\s+/).join('.');
+    }
+    return description;
+`;
+
+// Waits until an element is displayed, enabled, no longer moving and not covered by another element
+const waitForActionable = async (driver, element, timeout) => {
+    let reason = 'not checked yet';
+    let previousRect = null;
+    try {
+        await driver.wait(async () => {
+            if (!await element.isDisplayed()) {
+                reason = 'element is not displayed';
+                return false;
+            }
+            if (!await element.isEnabled()) {
+                reason = 'element is disabled';
+                return false;
+            }
+            const rect = await element.getRect();
+            const moving = !previousRect || ['x', 'y', 'width', 'height'].some(key => rect[key] !== previousRect[key]);
+            previousRect = rect;
+            if (moving) {
+                reason = 'element is still moving';
+                return false;
+            }
+            const coveredBy = await driver.executeScript(HIT_TEST_SCRIPT, element);
+            if (coveredBy) {
+                reason = `element is covered by <${coveredBy}>, which would receive the click`;
+                return false;
+            }
+            return true;
+        }, timeout, undefined, 100);
+    } catch (e) {
+        if (e instanceof error.TimeoutError) {
+            throw new Error(`Element not actionable after ${timeout}ms: ${reason}`);
+        }
+        throw e;
+    }
+    return element;
+};
+
+// Lists every window/tab of a session; reading titles means briefly switching to each window, after which
+// the session returns to the window and frame it was in
+const describeWindows = async (driver, sessionId) => {
+    const handles = await driver.getAllWindowHandles();
+    let current = null;
+    try {
+        current = await driver.getWindowHandle();
+    } catch (e) {
+        // The current window was closed; there is nothing to switch back to
+    }
+    const windows = [];
+    for (const handle of handles) {
+        await driver.switchTo().window(handle);
+        windows.push({ handle, title: await driver.getTitle(), url: await driver.getCurrentUrl(), current: handle === current });
+    }
+    if (current) {
+        await driver.switchTo().window(current);
+        await restoreFrames(driver, sessionId);
+    }
+    return windows;
+};
+
+const rememberWindows = (sessionId, handles) => {
+    getSessionInfo(sessionId).windowHandles = handles;
+};
+
+// Navigation and window switches return WebDriver to the top-level document
+const resetFrames = (sessionId) => {
+    getSessionInfo(sessionId).frames = [];
+};
+
+const describeFrames = (frames) => frames.length ? frames.map(frame => frame.label).join(' > ') : 'top-level document';
+
+// A window switch returns WebDriver to the top-level document; this re-enters the frames the session was in.
+// If a frame is gone, the session stays in the top-level document and the tool output says so.
+const restoreFrames = async (driver, sessionId) => {
+    const info = getSessionInfo(sessionId);
+    try {
+        for (const { target } of info.frames) {
+            await driver.switchTo().frame(target);
+        }
+    } catch (e) {
+        const lost = describeFrames(info.frames);
+        await driver.switchTo().defaultContent();
+        resetFrames(sessionId);
+        info.locatorNotes.push(`Note: could not return to frame ${lost} (${e.message}), so the session is now in the top-level document`);
+    }
+};
+
+// Tools that manage sessions or deal with alerts themselves must see an open alert untouched
+const ALERT_POLICY_EXEMPT_TOOLS = new Set([
+    'start_browser', 'attach_session', 'list_sessions', 'switch_session', 'close_session',
+    'set_alert_policy', 'get_alert_text', 'accept_alert', 'dismiss_alert', 'send_alert_text', 'wait_for'
+]);
+
+// Applies the session's alert policy to an alert left open since the last tool call
+const handleUnexpectedAlert = async (sessionId) => {
+    const driver = state.drivers.get(sessionId || state.currentSession);
+    const info = getSessionInfo(sessionId);
+    if (!driver || !info || info.alertPolicy === 'ignore') {
+        return null;
+    }
+    try {
+        const alert = await driver.switchTo().alert();
+        const text = await alert.getText();
+        if (info.alertPolicy === 'accept') {
+            await alert.accept();
+        } else {
+            await alert.dismiss();
+        }
+        return `Note: an unexpected alert ${JSON.stringify(text)} was ${info.alertPolicy === 'accept' ? 'accepted' : 'dismissed'} automatically before running this tool`;
+    } catch (e) {
+        // No alert open (or the session is gone); the tool reports any real problem itself
+        return null;
+    }
+};
+
+const withAlertPolicy = (name, handler) => {
+    if (ALERT_POLICY_EXEMPT_TOOLS.has(name)) {
+        return handler;
+    }
+    return async (args = {}, extra) => {
+        const note = await handleUnexpectedAlert(args.session_id);
+        const result = await handler(args, extra);
+        if (note) {
+            result.content.push({ type: 'text', text: note });
+        }
+        return result;
+    };
+};
+
+// Appends the notes locateElement left for this call, such as which candidate locator matched
+const withLocatorNotes = (handler) => async (args = {}, extra) => {
+    const result = await handler(args, extra);
+    const notes = getSessionInfo(args.session_id)?.locatorNotes.splice(0) || [];
+    for (const text of notes) {
+        result.content.push({ type: 'text', text });
+    }
+    return result;
+};
+
+// Waits for an element. Candidate locators also report which candidate matched, remember the element's
+// fingerprint and, with heal, fall back to the most similar element when none of them matches any more.
+const locateElement = async (driver, sessionId, locator, timeout) => {
+    if (!locator.candidates) {
+        return driver.wait(until.elementLocated(locator), timeout);
+    }
+    const info = getSessionInfo(sessionId);
+    let element;
+    try {
+        element = await driver.wait(until.elementLocated(locator), timeout);
+        if (locator.candidates.length > 1) {
+            const { by, value } = locator.candidates[locator.matched];
+            info.locatorNotes.push(`Note: matched candidate ${locator.matched + 1} of ${locator.candidates.length} (${by}=${value})`);
+        }
+    } catch (e) {
+        const fingerprint = info.fingerprints.get(locator.fingerprintKey);
+        if (!(e instanceof error.TimeoutError) || !locator.heal || !fingerprint) {
+            throw e;
+        }
+        const similar = await driver.executeScript(findSimilarElement, fingerprint);
+        if (!similar) {
+            throw new Error(`${e.message}; no element similar enough to the last match was found to heal the locator`);
+        }
+        element = similar.element;
+        const [suggestion] = await driver.executeScript(SUGGEST_LOCATORS_SCRIPT, element, config.testIdAttribute);
+        info.locatorNotes.push(`Note: no candidate matched, so the element most similar to the last match was used (similarity ${similar.similarity.toFixed(2)}). Suggested replacement locator: ${suggestion.by}=${suggestion.value}`);
+    }
+    info.fingerprints.set(locator.fingerprintKey, await driver.executeScript(fingerprintElement, element, config.testIdAttribute));
+    return element;
+};
+
+// Selects options of a <select> with selenium's Select helper and returns the text of every selected option.
+// On a multi-select, the current selection is cleared first unless append is set.
+const selectOptions = async (element, { text, value, index, append = false }) => {
+    if ((await element.getTagName()).toLowerCase() !== 'select') {
+        throw new Error('Element is not a <select>');
+    }
+    const given = [text, value, index].filter(option => option !== undefined);
+    if (given.length !== 1) {
+        throw new Error('Provide exactly one of optionText, optionValue or optionIndex');
+    }
+    const wanted = [].concat(given[0]);
+    const multiple = (await element.getDomAttribute('multiple')) !== null;
+    if (wanted.length > 1 && !multiple) {
+        throw new Error('Only a multi-select accepts several options');
+    }
+    const select = new Select(element);
+    if (multiple && !append) {
+        await select.deselectAll();
+    }
+    for (const option of wanted) {
+        if (text !== undefined) {
+            await select.selectByVisibleText(option);
+        } else if (value !== undefined) {
+            await select.selectByValue(option);
+        } else {
+            await select.selectByIndex(option);
+        }
+    }
+    const selected = await select.getAllSelectedOptions();
+    return Promise.all(selected.map(option => option.getText()));
+};
+
+// Ticks or clears a checkbox, radio button or ARIA checkbox/switch by clicking it when its state differs.
+// Returns whether it had to click.
+const setChecked = async (driver, element, checked, { timeout, force }) => {
+    const isInput = (await element.getTagName()).toLowerCase() === 'input';
+    const kind = ((isInput ? await element.getDomAttribute('type') : await element.getDomAttribute('role')) || '').toLowerCase();
+    if (!['checkbox', 'radio', 'switch', 'menuitemcheckbox'].includes(kind)) {
+        throw new Error('Element is not a checkbox or radio button');
+    }
+    const isChecked = async () => isInput ? element.isSelected() : (await element.getDomAttribute('aria-checked')) === 'true';
+    if ((await isChecked()) === checked) {
+        return false;
+    }
+    if (kind === 'radio' && !checked) {
+        throw new Error('A radio button cannot be unchecked; check another option in its group instead');
+    }
+    if (!force) {
+        await waitForActionable(driver, element, timeout);
+    }
+    await element.click();
+    if ((await isChecked()) !== checked) {
+        throw new Error(`Element is still ${checked ? 'unchecked' : 'checked'} after clicking it`);
+    }
+    return true;
+};
+
+// Fills one fill_form field, keyed 'strategy=value' or 'element_ref=e1', according to the kind of control it is
+const fillField = async (driver, sessionId, field, input, { timeout, force }) => {
+    const separator = field.indexOf('=');
+    if (separator === -1) {
+        throw new Error("Field keys look like 'strategy=value' or 'element_ref=e1'");
+    }
+    const by = field.slice(0, separator).trim();
+    const value = field.slice(separator + 1);
+    const locator = resolveLocator(sessionId, by === 'element_ref' ? { element_ref: value } : { by, value });
+    const element = await locateElement(driver, sessionId, locator, timeout);
+    const tag = (await element.getTagName()).toLowerCase();
+    const type = ((await element.getDomAttribute('type')) || '').toLowerCase();
+
+    if (typeof input === 'boolean') {
+        const clicked = await setChecked(driver, element, input, { timeout, force });
+        return `${clicked ? '' : 'already '}${input ? 'checked' : 'unchecked'}`;
+    }
+    if (tag === 'input' && (type === 'checkbox' || type === 'radio')) {
+        throw new Error('Use true or false for checkboxes and radio buttons');
+    }
+    if (tag === 'select') {
+        // Numbers match option text or value as strings; selenium's selectByValue only takes strings
+        const options = Array.isArray(input) ? input.map(String) : String(input);
+        let selected;
+        try {
+            selected = await selectOptions(element, { text: options });
+        } catch (e) {
+            if (!e.message.startsWith('Cannot locate option')) {
+                throw e;
+            }
+            selected = await selectOptions(element, { value: options });
+        }
+        return `selected ${selected.map(text => `"${text}"`).join(', ')}`;
+    }
+    if (Array.isArray(input)) {
+        throw new Error('A list of values only fits a multi-select');
+    }
+    if (tag === 'input' && type === 'file') {
+        // File inputs are often hidden behind a styled button, so they skip the actionability checks
+        await element.sendKeys(String(input));
+        return 'file attached';
+    }
+    if (!force) {
+        await waitForActionable(driver, element, timeout);
+    }
+    await element.clear();
+    await element.sendKeys(String(input));
+    return 'filled';
+};
+
+// Key names accepted in send_keys {tokens} and by press_key, matched case-insensitively
+const KEY_NAMES = {
+    enter: Key.ENTER, return: Key.RETURN, tab: Key.TAB, escape: Key.ESCAPE, esc: Key.ESCAPE, space: Key.SPACE,
+    backspace: Key.BACK_SPACE, delete: Key.DELETE, del: Key.DELETE, insert: Key.INSERT, pause: Key.PAUSE,
+    arrowup: Key.ARROW_UP, up: Key.ARROW_UP, arrowdown: Key.ARROW_DOWN, down: Key.ARROW_DOWN,
+    arrowleft: Key.ARROW_LEFT, left: Key.ARROW_LEFT, arrowright: Key.ARROW_RIGHT, right: Key.ARROW_RIGHT,
+    home: Key.HOME, end: Key.END, pageup: Key.PAGE_UP, pagedown: Key.PAGE_DOWN,
+    shift: Key.SHIFT, control: Key.CONTROL, ctrl: Key.CONTROL, alt: Key.ALT, option: Key.ALT,
+    meta: Key.META, command: Key.COMMAND, cmd: Key.COMMAND
+};
+for (let n = 1; n <= 12; n++) {
+    KEY_NAMES[`f${n}`] = Key[`F${n}`];
+}
+
+// Keys of a chord such as "Ctrl+Shift+K" or "Ctrl++", or null when a part is not a key. A lone part must be a
+// key name, so "{x}" is not mistaken for a token; letters are lower-cased so Ctrl+A does not add Shift.
+const parseChord = (spec) => {
+    const parts = spec.split(/\+(?=.)/).map(part => part.trim());
+    const keys = parts.map(part => KEY_NAMES[part.toLowerCase()] ?? (parts.length > 1 && [...part].length === 1 ? part.toLowerCase() : undefined));
+    return keys.includes(undefined) ? null : keys;
+};
+
+// Splits send_keys text into keystrokes: one per character, plus one per {Key} or {Mod+Key} token.
+// Braces that do not hold a key name are typed as they are.
+const parseKeys = (text) => {
+    const units = [];
+    let last = 0;
+    for (const match of text.matchAll(/\{([^{}]+)\}/g)) {
+        const keys = parseChord(match[1]);
+        if (!keys) {
+            continue;
+        }
+        units.push(...text.slice(last, match.index), keys.length === 1 ? keys[0] : Key.chord(...keys));
+        last = match.index + match[0].length;
+    }
+    units.push(...text.slice(last));
+    return units;
+};
+
+// Clears a field the way a user would, for inputs whose value a script-driven clear() does not reset
+const clearBySelectAll = async (driver, element) => {
+    const platform = (await driver.getCapabilities()).getPlatform() || '';
+    const modifier = platform.toLowerCase().startsWith('mac') ? Key.COMMAND : Key.CONTROL;
+    await element.sendKeys(Key.chord(modifier, 'a'), Key.BACK_SPACE);
+};
+
+const BUTTONS = { left: Button.LEFT, middle: Button.MIDDLE, right: Button.RIGHT };
+
+// Turns perform_actions steps into one Actions sequence. Pointer steps drive a single mouse, touch or pen pointer;
+// steps with a locator are relative to the center of that element.
+const buildActions = async (driver, sessionId, steps, pointerType, timeout) => {
+    const actions = driver.actions({ bridge: true });
+    const pointer = pointerType === 'mouse' ? actions.mouse() : new Pointer(`default ${pointerType}`, pointerType);
+    for (const [index, step] of steps.entries()) {
+        try {
+            const { type, x = 0, y = 0, button = 'left', duration } = step;
+            if (!(button in BUTTONS)) {
+                throw new Error(`unknown button ${button}`);
+            }
+            let element = null;
+            if (step.by || step.element_ref) {
+                element = await locateElement(driver, sessionId, resolveLocator(sessionId, step), timeout);
+            }
+            switch (type) {
+                case 'move':
+                    actions.insert(pointer, pointer.move({
+                        x: Math.round(x),
+                        y: Math.round(y),
+                        duration,
+                        origin: element || (step.origin === 'pointer' ? Origin.POINTER : Origin.VIEWPORT)
+                    }));
+                    break;
+                case 'down':
+                    actions.insert(pointer, pointer.press(BUTTONS[button]));
+                    break;
+                case 'up':
+                    actions.insert(pointer, pointer.release(BUTTONS[button]));
+                    break;
+                case 'pause':
+                    actions.pause(duration);
+                    break;
+                case 'scroll':
+                    actions.scroll(Math.round(x), Math.round(y), Math.round(step.deltaX || 0), Math.round(step.deltaY || 0), element || Origin.VIEWPORT, duration);
+                    break;
+                case 'key_down':
+                case 'key_up': {
+                    const key = [...(step.key || '')].length === 1 ? step.key : KEY_NAMES[(step.key || '').toLowerCase()];
+                    if (!key) {
+                        throw new Error(`unknown key ${step.key}`);
+                    }
+                    if (type === 'key_down') {
+                        actions.keyDown(key);
+                    } else {
+                        actions.keyUp(key);
+                    }
+                    break;
+                }
+                default:
+                    throw new Error(`unknown action type ${type}`);
+            }
+        } catch (e) {
+            throw new Error(`Step ${index + 1}: ${e.message}`);
+        }
+    }
+    return actions;
+};
+
+// Locked-down deployments set SELENIUM_ALLOW_SCRIPTS=false to refuse every tool that runs caller-supplied JavaScript
+const assertScriptsAllowed = () => {
+    if (!config.allowScripts) {
+        throw new Error('Script execution is disabled on this server (SELENIUM_ALLOW_SCRIPTS=false)');
+    }
+};
+
+// Limits on what execute_script(_async) send back: nesting depth and entries per array or object are cut in the
+// browser, the serialized text on this side
+const SCRIPT_RESULT_LIMITS = { depth: 10, items: 200, length: 20000 };
+
+// Runs in the browser: copies a script result into something WebDriver can send back. Elements are kept for
+// WebDriver to turn into references; cycles, functions, other DOM nodes and values too deep or too long are
+// replaced by short descriptions.
+function sanitizeScriptResult(value, maxDepth, maxItems) {
+    const ancestors = new Set();
+    const walk = (item, depth) => {
+        if (item === undefined) {
+            return null;
+        }
+        if (typeof item === 'bigint') {
+            return String(item);
+        }
+        if (typeof item === 'function') {
+            return `[Function ${item.name || 'anonymous'}]`;
+        }
+        if (item === null || typeof item !== 'object') {
+            return item;
+        }
+        if (item instanceof Element) {
+            return item;
+        }
+        if (item instanceof Node) {
+            return `[${item.nodeName}]`;
+        }
+        if (item === window) {
+            return '[Window]';
+        }
+        if (item instanceof Date) {
+            return item.toISOString();
+        }
+        if (item instanceof Error) {
+            return { name: item.name, message: item.message };
+        }
+        if (ancestors.has(item)) {
+            return '[Circular]';
+        }
+        const list = Array.isArray(item) || item instanceof NodeList || item instanceof HTMLCollection || item instanceof Set;
+        if (depth >= maxDepth) {
+            return list ? '[Array]' : '[Object]';
+        }
+        ancestors.add(item);
+        let result;
+        if (list) {
+            const entries = Array.from(item);
+            result = entries.slice(0, maxItems).map(entry => walk(entry, depth + 1));
+            if (entries.length > maxItems) {
+                result.push(`[${entries.length - maxItems} more items]`);
+            }
+        } else {
+            const keys = item instanceof Map ? Array.from(item.keys()) : Object.keys(item);
+            result = {};
+            for (const key of keys.slice(0, maxItems)) {
+                try {
+                    result[String(key)] = walk(item instanceof Map ? item.get(key) : item[key], depth + 1);
+                } catch (e) {
+                    result[String(key)] = '[Unreadable]';
+                }
+            }
+            if (keys.length > maxItems) {
+                result['[more]'] = `${keys.length - maxItems} more keys`;
+            }
+        }
+        ancestors.delete(item);
+        return result;
+    };
+    return walk(value, 0);
+}
+
+// Wraps a script body so its result goes through sanitizeScriptResult. A returned Promise is sanitized once it
+// settles, since WebDriver waits for it. Async scripts still find their callback as the last argument; it is
+// swapped for one that sanitizes before handing the result back.
+const wrapScript = (script, async) => {
+    const { depth, items } = SCRIPT_RESULT_LIMITS;
+    if (!async) {
+        return `const sanitize = ${sanitizeScriptResult};
+const result = (function () {\n${script}\n}).apply(this, arguments);
+if (result && typeof result.then === 'function') {
+    return Promise.resolve(result).then(value => sanitize(value, ${depth}, ${items}));
+}
+return sanitize(result, ${depth}, ${items});`;
+    }
+    return `const args = Array.prototype.slice.call(arguments, 0, -1);
+const done = arguments[arguments.length - 1];
+const sanitize = ${sanitizeScriptResult};
+(function () {\n${script}\n}).apply(this, args.concat(result => done(sanitize(result, ${depth}, ${items}))));`;
+};
+
+// Script arguments written as {"element": {by, value} | {element_ref}} are located and passed as WebElements;
+// anything else is passed through as JSON
+const resolveScriptArgs = async (driver, sessionId, args, timeout) => {
+    const resolved = [];
+    for (const [index, arg] of args.entries()) {
+        const isLocator = arg && typeof arg === 'object' && !Array.isArray(arg)
+            && Object.keys(arg).length === 1 && arg.element && typeof arg.element === 'object';
+        if (!isLocator) {
+            resolved.push(arg);
+            continue;
+        }
+        try {
+            resolved.push(await locateElement(driver, sessionId, resolveLocator(sessionId, arg.element), timeout));
+        } catch (e) {
+            throw new Error(`Argument ${index}: ${e.message}`);
+        }
+    }
+    return resolved;
+};
+
+// Renders a script result as JSON, with each WebElement replaced by a summary and an element_ref for later calls
+const formatScriptResult = async (driver, sessionId, result) => {
+    const elements = [];
+    const collect = (item) => {
+        if (item instanceof WebElement) {
+            elements.push(item);
+        } else if (item && typeof item === 'object') {
+            Object.values(item).forEach(collect);
+        }
+    };
+    collect(result);
+    const summaries = elements.length ? await driver.executeScript(summarizeElements, elements) : [];
+    const refs = [];
+    for (const element of elements) {
+        refs.push(await rememberElement(sessionId, element));
+    }
+    const replace = (item) => {
+        if (item instanceof WebElement) {
+            const index = elements.indexOf(item);
+            return { element_ref: refs[index], ...summaries[index] };
+        }
+        if (Array.isArray(item)) {
+            return item.map(replace);
+        }
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, replace(entry)]));
+        }
+        return item;
+    };
+    const text = JSON.stringify(replace(result ?? null), null, 2);
+    if (text.length <= SCRIPT_RESULT_LIMITS.length) {
+        return text;
+    }
+    return `${text.slice(0, SCRIPT_RESULT_LIMITS.length)}\n... (truncated, ${text.length} characters in total)`;
+};
+
+// Runs in the browser: the content of an element (the whole page without one) as clean HTML without
+// scripts and styles, as the visible text, or as Markdown that keeps headings, links, lists, tables and code
+function extractPageContent(root, format) {
+    const tidy = text => text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    root = root || document.documentElement;
+    if (root === document.documentElement && format !== 'clean_html') {
+        root = document.body || root;
+    }
+    if (format === 'clean_html') {
+        const clone = root.cloneNode(true);
+        clone.querySelectorAll('script, style, noscript, template, link[rel~="stylesheet"]').forEach(node => node.remove());
+        const walker = document.createTreeWalker(clone, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT);
+        const comments = [];
+        for (let node = clone; node; node = walker.nextNode()) {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                comments.push(node);
+                continue;
+            }
+            for (const { name } of Array.from(node.attributes)) {
+                if (name === 'style' || name.startsWith('on')) {
+                    node.removeAttribute(name);
+                }
+            }
+        }
+        comments.forEach(node => node.remove());
+        return tidy(clone.outerHTML.replace(/\n\s*\n/g, '\n'));
+    }
+    if (format === 'text') {
+        return tidy(root.innerText || root.textContent || '');
+    }
+
+    const skipped = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT']);
+    const hidden = element => {
+        const style = window.getComputedStyle(element);
+        return element.hidden || style.display === 'none' || style.visibility === 'hidden';
+    };
+    const block = text => (text.trim() ? `\n\n${text.trim()}\n\n` : '');
+    const indent = (text, prefix) => text.split('\n').map((line, index) => (index ? ' '.repeat(prefix.length) : prefix) + line).join('\n');
+    const inline = node => children(node).replace(/\s+/g, ' ').trim();
+    // Joins converted children, dropping the spaces that text nodes leave next to block boundaries
+    const children = node => {
+        let out = '';
+        for (const child of node.childNodes) {
+            let part = convert(child);
+            if (part.startsWith('\n')) {
+                out = out.replace(/ +$/, '');
+            }
+            if (out.endsWith('\n') || !out) {
+                part = part.replace(/^ +/, '');
+            }
+            out += part;
+        }
+        return out;
+    };
+    const list = element => {
+        const items = Array.from(element.children).filter(item => item.tagName === 'LI' && !hidden(item));
+        const start = Number(element.getAttribute('start')) || 1;
+        return block(items.map((item, index) => {
+            const marker = element.tagName === 'OL' ? `${start + index}. ` : '- ';
+            return indent(children(item).trim().replace(/\n{2,}/g, '\n'), marker);
+        }).join('\n'));
+    };
+    const table = element => {
+        const rows = Array.from(element.rows)
+            .filter(row => !hidden(row))
+            .map(row => Array.from(row.cells).map(cell => inline(cell).replace(/\|/g, '\\|')));
+        if (!rows.length) {
+            return '';
+        }
+        const width = Math.max(...rows.map(row => row.length));
+        const line = row => `| ${Array.from({ length: width }, (_, index) => row[index] || '').join(' | ')} |`;
+        return block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+    };
+    const convert = node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || skipped.has(node.tagName.toUpperCase()) || hidden(node)) {
+            return '';
+        }
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            const text = inline(node);
+            return text ? block(`${'#'.repeat(Number(tag[1]))} ${text}`) : '';
+        }
+        switch (tag) {
+            case 'BR':
+                return '\n';
+            case 'HR':
+                return block('---');
+            case 'UL':
+            case 'OL':
+                return list(node);
+            case 'TABLE':
+                return table(node);
+            case 'PRE':
+                return block(`\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\``);
+            case 'BLOCKQUOTE':
+                return block(tidy(children(node)).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+            case 'CODE':
+                return `\`${node.textContent}\``;
+            case 'STRONG':
+            case 'B': {
+                const text = inline(node);
+                return text ? `**${text}**` : '';
+            }
+            case 'EM':
+            case 'I': {
+                const text = inline(node);
+                return text ? `*${text}*` : '';
+            }
+            case 'A': {
+                const text = inline(node);
+                const href = node.getAttribute('href');
+                if (!href || href.startsWith('javascript:')) {
+                    return text;
+                }
+                return `[${text || node.href}](${node.href})`;
+            }
+            case 'IMG': {
+                const alt = (node.getAttribute('alt') || '').trim();
+                const src = node.getAttribute('src') || '';
+                return src && !src.startsWith('data:') ? `![${alt}](${node.src})` : alt;
+            }
+            default: {
+                const display = window.getComputedStyle(node).display;
+                const text = children(node);
+                return display.startsWith('inline') || display === 'contents' ? text : block(text);
+            }
+        }
+    };
+    return tidy(convert(root));
+}
+
+// Splits page content into chunks of at most maxLength characters, breaking at a line end where one is close
+const paginateContent = (text, maxLength) => {
+    const pages = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + maxLength, text.length);
+        if (end < text.length) {
+            const lineEnd = text.lastIndexOf('\n', end - 1);
+            if (lineEnd > start + maxLength / 2) {
+                end = lineEnd + 1;
+            }
+        }
+        pages.push({ start, end });
+        start = end;
+    }
+    return pages;
+};
+
+// Common schemas
+const browserOptionsSchema = z.object({
+    headless: z.boolean().optional().describe("Run browser in headless mode"),
+    arguments: z.array(z.string()).optional().describe("Additional browser arguments"),
+    windowSize: z.object({
+        width: z.number().describe("Window width in pixels"),
+        height: z.number().describe("Window height in pixels")
+    }).optional().describe("Initial window size"),
+    userAgent: z.string().optional().describe("User agent string to report"),
+    proxy: z.object({
+        http: z.string().optional().describe("HTTP proxy (host:port)"),
+        https: z.string().optional().describe("HTTPS proxy (host:port)"),
+        socks: z.string().optional().describe("SOCKS5 proxy (host:port)"),
+        pac: z.string().optional().describe("Proxy auto-config URL; overrides the other proxy settings"),
+        bypass: z.array(z.string()).optional().describe("Hosts that should not use the proxy")
+    }).optional().describe("Proxy configuration"),
+    acceptInsecureCerts: z.boolean().optional().describe("Accept self-signed and otherwise invalid TLS certificates"),
+    pageLoadStrategy: z.enum(["normal", "eager", "none"]).optional().describe("When navigation is considered complete"),
+    prefs: z.record(z.any()).optional().describe("Browser preferences (Chrome/Edge user prefs or Firefox about:config prefs)"),
+    excludeSwitches: z.array(z.string()).optional().describe("Default Chrome/Edge switches to disable, without the leading '--' (e.g. 'enable-automation')"),
+    capabilities: z.record(z.any()).optional().describe("Extra WebDriver capabilities to merge in as-is (e.g. 'se:name' or vendor options)"),
+    remoteUrl: z.string().optional().describe("Remote WebDriver / Selenium Grid URL, e.g. http://localhost:4444/wd/hub (defaults to the SELENIUM_REMOTE_URL env var)")
+}).optional();
+
+const locatorStrategySchema = z.enum([
+    "id", "css", "xpath", "name", "tag", "class",
+    "link_text", "partial_link_text", "text", "text_contains", "label", "placeholder", "role", "test_id"
+]);
+
+const relativeSchema = z.array(z.object({
+    direction: z.enum(["above", "below", "left_of", "right_of", "near"]).describe("Where the element is relative to the anchor; near means within 50 pixels"),
+    by: locatorStrategySchema.optional().describe("Locator strategy to find the anchor element"),
+    value: z.string().optional().describe("Value for the anchor locator strategy"),
+    element_ref: z.string().optional().describe("Element handle of the anchor, instead of by and value")
+})).optional().describe("Spatial constraints that narrow by and value, e.g. the input right_of the 'Email' text");
+
+const locatorSchema = {
+    by: locatorStrategySchema.optional().describe("Locator strategy to find element; role values are 'button' or 'button:Accessible name'"),
+    value: z.string().optional().describe("Value for the locator strategy; for css, use 'host >>> inner >>> button' to search inside shadow roots"),
+    element_ref: z.string().optional().describe("Element handle from find_element or find_elements, instead of by and value"),
+    relative: relativeSchema,
+    candidates: z.array(z.object({
+        by: locatorStrategySchema,
+        value: z.string()
+    })).optional().describe("Fallback locators tried in order after by and value, or on their own; the response says which one matched"),
+    heal: z.boolean().optional().describe("When no locator matches, use the element most similar to the last one these locators found in this session and suggest a replacement locator"),
+    timeout: z.number().optional().describe("Maximum time to wait for element in milliseconds")
+};
+
+const forceSchema = {
+    force: z.boolean().optional().describe("Skip the visible/enabled/stable/not-covered checks before acting")
+};
+
+const actionStepSchema = z.object({
+    type: z.enum(["move", "down", "up", "pause", "scroll", "key_down", "key_up"]).describe("Action to perform"),
+    x: z.number().optional().describe("move: x coordinate, or offset when relative to the pointer or an element; scroll: x to scroll at"),
+    y: z.number().optional().describe("move: y coordinate, or offset when relative to the pointer or an element; scroll: y to scroll at"),
+    origin: z.enum(["viewport", "pointer"]).optional().describe("move: what x and y are relative to when no element is given (default viewport)"),
+    by: locatorStrategySchema.optional().describe("move/scroll: locator strategy of an element whose center x and y are relative to"),
+    value: z.string().optional().describe("Value for the locator strategy"),
+    element_ref: z.string().optional().describe("Element handle, instead of by and value"),
+    button: z.enum(["left", "middle", "right"]).optional().describe("down/up: pointer button (default left)"),
+    duration: z.number().optional().describe("move/scroll: how long the movement takes in milliseconds; pause: how long to wait"),
+    deltaX: z.number().optional().describe("scroll: pixels to scroll right"),
+    deltaY: z.number().optional().describe("scroll: pixels to scroll down"),
+    key: z.string().optional().describe("key_down/key_up: key name (e.g. 'Shift') or character")
+});
+
+const sessionSchema = {
+    session_id: z.string().optional().describe("Browser session to use (defaults to the current session)")
+};
+
+// Browser Management Tools
+registerTool(
+    "start_browser",
+    "launches browser",
+    {
+        browser: z.enum(["chrome", "firefox", "edge"]).describe("Browser to launch (chrome or firefox or microsoft edge)"),
+        options: browserOptionsSchema,
+        session_id: z.string().optional().describe("Optional id for the new session, e.g. 'buyer' (defaults to <browser>_<timestamp>)")
+    },
+    async ({ browser, options = {}, session_id }) => {
+        const remoteUrl = options.remoteUrl || process.env.SELENIUM_REMOTE_URL;
+        try {
+            if (session_id && state.drivers.has(session_id)) {
+                throw new Error(`Browser session ${session_id} already exists`);
+            }
+            if (config.maxSessions > 0 && state.drivers.size >= config.maxSessions) {
+                throw new Error(`Maximum of ${config.maxSessions} concurrent browser sessions reached; close one with close_session first`);
+            }
+            let builder = new Builder();
+            if (remoteUrl) {
+                builder = builder.usingServer(remoteUrl);
+            }
+            let driver;
+            switch (browser) {
+                case 'chrome': {
+                    const chromeOptions = applyBrowserOptions(new ChromeOptions(), 'chrome', options);
+                    driver = await builder
+                        .forBrowser('chrome')
+                        .setChromeOptions(chromeOptions)
+                        .build();
+                    break;
+                }
+                case 'edge': {
+                    const edgeOptions = applyBrowserOptions(new EdgeOptions(), 'edge', options);
+                    driver = await builder
+                        .forBrowser('edge')
+                        .setEdgeOptions(edgeOptions)
+                        .build();
+                    break;
+                }
+                case 'firefox': {
+                    const firefoxOptions = applyBrowserOptions(new FirefoxOptions(), 'firefox', options);
+                    driver = await builder
+                        .forBrowser('firefox')
+                        .setFirefoxOptions(firefoxOptions)
+                        .build();
+                    break;
+                }
+                default: {
+                    throw new Error(`Unsupported browser: ${browser}`);
+                }
+            }
+            const sessionId = session_id || `${browser}_${Date.now()}`;
+            registerSession(sessionId, driver, { browser, remoteUrl });
+
+            return {
+                content: [{ type: 'text', text: `Browser started with session_id: ${sessionId}${remoteUrl ? ` on ${remoteUrl}` : ''}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error starting browser: ${describeStartError(e, remoteUrl)}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "navigate",
+    "navigates to a URL",
+    {
+        url: z.string().describe("URL to navigate to"),
+        ...sessionSchema
+    },
+    async ({ url, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.get(url);
+            resetFrames(session_id);
+            return {
+                content: [{ type: 'text', text: `Navigated to ${url}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error navigating: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "go_back",
+    "navigates back in the browser history",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.navigate().back();
+            resetFrames(session_id);
+            return {
+                content: [{ type: 'text', text: `Navigated back to ${await driver.getCurrentUrl()}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error navigating back: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "go_forward",
+    "navigates forward in the browser history",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.navigate().forward();
+            resetFrames(session_id);
+            return {
+                content: [{ type: 'text', text: `Navigated forward to ${await driver.getCurrentUrl()}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error navigating forward: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "refresh",
+    "reloads the current page",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.navigate().refresh();
+            resetFrames(session_id);
+            return {
+                content: [{ type: 'text', text: `Refreshed ${await driver.getCurrentUrl()}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error refreshing page: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "get_page_info",
+    "gets the current URL, title, document.readyState and viewport size",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const url = await driver.getCurrentUrl();
+            const title = await driver.getTitle();
+            const { readyState, viewport } = await driver.executeScript(
+                'return { readyState: document.readyState, viewport: { width: window.innerWidth, height: window.innerHeight } };'
+            );
+            return {
+                content: [{ type: 'text', text: JSON.stringify({ url, title, readyState, viewport }, null, 2) }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error getting page info: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "get_page_content",
+    "gets the content of the page, or of one element when a locator is given, as Markdown, visible text, HTML without scripts and styles, or raw HTML; long content is split into pages",
+    {
+        format: z.enum(["markdown", "text", "clean_html", "html"]).optional().describe("Content format (default markdown)"),
+        ...locatorSchema,
+        maxLength: z.number().optional().describe("Maximum number of characters to return per page (default 10000)"),
+        page: z.number().optional().describe("Page of the content to return, starting at 1 (default 1)"),
+        ...sessionSchema
+    },
+    async ({ format = 'markdown', by, value, element_ref, relative, candidates, heal, maxLength = 10000, page = 1, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            if (!(maxLength >= 1)) {
+                throw new Error('maxLength must be at least 1');
+            }
+            let element = null;
+            if (by || element_ref || candidates?.length) {
+                const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+                element = await locateElement(driver, session_id, locator, timeout);
+            }
+            let content;
+            if (format === 'html') {
+                content = element ? await element.getProperty('outerHTML') : await driver.getPageSource();
+            } else {
+                content = await driver.executeScript(extractPageContent, element, format);
+            }
+            if (!content) {
+                return {
+                    content: [{ type: 'text', text: 'No content found' }]
+                };
+            }
+            const pages = paginateContent(content, Math.floor(maxLength));
+            if (!Number.isInteger(page) || page < 1 || page > pages.length) {
+                throw new Error(`Page ${page} is out of range; the content has ${pages.length} page${pages.length === 1 ? '' : 's'}`);
+            }
+            const { start, end } = pages[page - 1];
+            let text = content.slice(start, end);
+            if (pages.length > 1) {
+                const more = page < pages.length ? `; request page ${page + 1} for more` : '';
+                text = `Page ${page} of ${pages.length} (characters ${start + 1}-${end} of ${content.length})${more}\n\n${text}`;
+            }
+            return {
+                content: [{ type: 'text', text }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error getting page content: ${e.message}` }]
+            };
+        }
+    }
+);
+
+// Window Management Tools
+registerTool(
+    "list_windows",
+    "lists the open windows and tabs with their handles, titles and URLs",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const windows = await describeWindows(driver, session_id);
+            rememberWindows(session_id, windows.map(w => w.handle));
+            return {
+                content: [{ type: 'text', text: JSON.stringify(windows, null, 2) }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error listing windows: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "switch_to_window",
+    "switches to a window or tab by handle, title or URL pattern",
+    {
+        handle: z.string().optional().describe("Window handle to switch to"),
+        title: z.string().optional().describe("Switch to the first window whose title contains this text"),
+        url: z.string().optional().describe("Switch to the first window whose URL matches this regular expression"),
+        ...sessionSchema
+    },
+    async ({ handle, title, url, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            if (!handle && title === undefined && !url) {
+                throw new Error('Provide handle, title or url');
+            }
+            const windows = await describeWindows(driver, session_id);
+            rememberWindows(session_id, windows.map(w => w.handle));
+            const pattern = url && new RegExp(url);
+            const target = windows.find(w => handle
+                ? w.handle === handle
+                : title !== undefined ? w.title.includes(title) : pattern.test(w.url));
+            if (!target) {
+                throw new Error(`No window matches ${handle ? `handle ${handle}` : title !== undefined ? `title "${title}"` : `url /${url}/`}`);
+            }
+            await driver.switchTo().window(target.handle);
+            resetFrames(session_id);
+            return {
+                content: [{ type: 'text', text: `Switched to window ${target.handle} (${target.title} - ${target.url})` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error switching window: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "new_window",
+    "opens a new tab or window and switches to it",
+    {
+        type: z.enum(["tab", "window"]).optional().describe("Open a tab (default) or a separate window"),
+        url: z.string().optional().describe("URL to open in the new tab or window"),
+        ...sessionSchema
+    },
+    async ({ type = 'tab', url, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.switchTo().newWindow(type);
+            resetFrames(session_id);
+            if (url) {
+                await driver.get(url);
+            }
+            const handle = await driver.getWindowHandle();
+            rememberWindows(session_id, await driver.getAllWindowHandles());
+            return {
+                content: [{ type: 'text', text: `Opened new ${type} ${handle}${url ? ` at ${url}` : ''}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error opening new ${type}: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "close_window",
+    "closes the current window or tab and switches to another one",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const handles = await driver.getAllWindowHandles();
+            if (handles.length <= 1) {
+                throw new Error('This is the last window of the session; use close_session instead');
+            }
+            const closed = await driver.getWindowHandle();
+            await driver.close();
+            const remaining = handles.filter(h => h !== closed);
+            await driver.switchTo().window(remaining[remaining.length - 1]);
+            resetFrames(session_id);
+            rememberWindows(session_id, remaining);
+            return {
+                content: [{ type: 'text', text: `Closed window ${closed}; switched to ${remaining[remaining.length - 1]}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error closing window: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "wait_for_new_window",
+    "waits for a new window or tab to open (optionally clicking an element first) and returns its handle",
+    {
+        by: locatorStrategySchema.optional().describe("Locator strategy of an element to click that opens the window"),
+        value: z.string().optional().describe("Value for the locator strategy"),
+        element_ref: z.string().optional().describe("Element handle of the element to click, instead of by and value"),
+        switchTo: z.boolean().optional().describe("Switch to the new window (default true)"),
+        timeout: z.number().optional().describe("Maximum time to wait for the new window in milliseconds"),
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, switchTo = true, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            let knownHandles;
+            if ((by && value) || element_ref) {
+                knownHandles = await driver.getAllWindowHandles();
+                const element = await driver.wait(until.elementLocated(resolveLocator(session_id, { by, value, element_ref })), timeout);
+                await element.click();
+            } else {
+                knownHandles = getSessionInfo(session_id).windowHandles;
+                if (!knownHandles) {
+                    throw new Error('Pass by and value (or element_ref) of the element that opens the window, or call list_windows before triggering it');
+                }
+            }
+            let newHandle;
+            try {
+                await driver.wait(async () => {
+                    const handles = await driver.getAllWindowHandles();
+                    newHandle = handles.find(h => !knownHandles.includes(h));
+                    return Boolean(newHandle);
+                }, timeout);
+            } catch (e) {
+                if (e instanceof error.TimeoutError) {
+                    throw new Error(`No new window opened within ${timeout}ms`);
+                }
+                throw e;
+            }
+            if (switchTo) {
+                await driver.switchTo().window(newHandle);
+                resetFrames(session_id);
+            }
+            rememberWindows(session_id, await driver.getAllWindowHandles());
+            return {
+                content: [{ type: 'text', text: `New window opened: ${newHandle}${switchTo ? ' (switched to it)' : ''}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error waiting for new window: ${e.message}` }]
+            };
+        }
+    }
+);
+
+// Frame Tools
+registerTool(
+    "switch_to_frame",
+    "switches into an iframe or frame by locator, index or name",
+    {
+        by: locatorStrategySchema.optional().describe("Locator strategy to find the frame element"),
+        value: z.string().optional().describe("Value for the locator strategy"),
+        element_ref: z.string().optional().describe("Element handle of the frame element, instead of by and value"),
+        index: z.number().optional().describe("Zero-based index of the frame within the current document"),
+        name: z.string().optional().describe("Name or id attribute of the frame"),
+        timeout: z.number().optional().describe("Maximum time to wait for the frame in milliseconds"),
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, index, name, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            let frame;
+            let label;
+            if ((by && value) || element_ref) {
+                frame = await driver.wait(until.elementLocated(resolveLocator(session_id, { by, value, element_ref })), timeout);
+                label = element_ref || `${by}=${value}`;
+            } else if (index !== undefined) {
+                frame = index;
+                label = `index ${index}`;
+            } else if (name) {
+                const quoted = JSON.stringify(name);
+                const locator = By.css(['iframe', 'frame'].flatMap(tag => [`${tag}[name=${quoted}]`, `${tag}[id=${quoted}]`]).join(', '));
+                frame = await driver.wait(until.elementLocated(locator), timeout, `No frame named ${name}`);
+                label = `name=${name}`;
+            } else {
+                throw new Error('Provide by and value, element_ref, index or name');
+            }
+            await driver.switchTo().frame(frame);
+            const info = getSessionInfo(session_id);
+            info.frames = [...info.frames, { label, target: frame }];
+            return {
+                content: [{ type: 'text', text: `Switched to frame: ${describeFrames(info.frames)}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error switching to frame: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "switch_to_parent_frame",
+    "switches out of the current frame to its parent",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.switchTo().parentFrame();
+            const info = getSessionInfo(session_id);
+            info.frames = info.frames.slice(0, -1);
+            return {
+                content: [{ type: 'text', text: `Switched to parent frame: ${describeFrames(info.frames)}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error switching to parent frame: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "switch_to_default_content",
+    "switches back to the top-level document",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            await driver.switchTo().defaultContent();
+            resetFrames(session_id);
+            return {
+                content: [{ type: 'text', text: 'Switched to the top-level document' }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error switching to default content: ${e.message}` }]
+            };
+        }
+    }
+);
+
+// Alert Tools
+registerTool(
+    "get_alert_text",
+    "gets the text of the open alert, confirm or prompt dialog",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const alert = await driver.switchTo().alert();
+            return {
+                content: [{ type: 'text', text: await alert.getText() }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error getting alert text: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "accept_alert",
+    "accepts the open alert, confirm or prompt dialog (clicks OK)",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const alert = await driver.switchTo().alert();
+            const text = await alert.getText();
+            await alert.accept();
+            return {
+                content: [{ type: 'text', text: `Alert ${JSON.stringify(text)} accepted` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error accepting alert: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "dismiss_alert",
+    "dismisses the open alert, confirm or prompt dialog (clicks Cancel)",
+    {
+        ...sessionSchema
+    },
+    async ({ session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const alert = await driver.switchTo().alert();
+            const text = await alert.getText();
+            await alert.dismiss();
+            return {
+                content: [{ type: 'text', text: `Alert ${JSON.stringify(text)} dismissed` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error dismissing alert: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "send_alert_text",
+    "types text into the open prompt dialog and accepts it",
+    {
+        text: z.string().describe("Text to enter into the prompt"),
+        accept: z.boolean().optional().describe("Accept the prompt after typing (default true)"),
+        ...sessionSchema
+    },
+    async ({ text, accept = true, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const alert = await driver.switchTo().alert();
+            await alert.sendKeys(text);
+            if (accept) {
+                await alert.accept();
+            }
+            return {
+                content: [{ type: 'text', text: `Text "${text}" entered into prompt${accept ? ' and accepted' : ''}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error entering prompt text: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "set_alert_policy",
+    "sets how unexpected alerts are handled before each tool call in a session",
+    {
+        policy: z.enum(["accept", "dismiss", "ignore"]).describe("accept or dismiss unexpected alerts automatically, or ignore them (tools then fail while an alert is open)"),
+        ...sessionSchema
+    },
+    async ({ policy, session_id }) => {
+        try {
+            getDriver(session_id);
+            getSessionInfo(session_id).alertPolicy = policy;
+            return {
+                content: [{ type: 'text', text: `Alert policy set to ${policy}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error setting alert policy: ${e.message}` }]
+            };
+        }
+    }
+);
+
+// Element Interaction Tools
+registerTool(
+    "find_element",
+    "finds an element",
+    {
+        ...locatorSchema,
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const ref = await rememberElement(session_id, element);
+            return {
+                content: [{ type: 'text', text: `Element found (element_ref: ${ref})` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error finding element: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "find_elements",
+    "finds all matching elements and returns an indexed summary with a reusable element_ref for each",
+    {
+        by: locatorStrategySchema.describe("Locator strategy to find elements; role values are 'button' or 'button:Accessible name'"),
+        value: z.string().describe("Value for the locator strategy; for css, use 'host >>> inner >>> button' to search inside shadow roots"),
+        relative: relativeSchema,
+        limit: z.number().optional().describe("Maximum number of elements to return (default 20)"),
+        timeout: z.number().optional().describe("Maximum time to wait for at least one element in milliseconds"),
+        ...sessionSchema
+    },
+    async ({ by, value, relative, limit = 20, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, relative });
+            let elements;
+            try {
+                elements = await driver.wait(until.elementsLocated(locator), timeout);
+            } catch (e) {
+                if (e instanceof error.TimeoutError) {
+                    return {
+                        content: [{ type: 'text', text: 'No matching elements found' }]
+                    };
+                }
+                throw e;
+            }
+            const shown = elements.slice(0, limit);
+            const summaries = await driver.executeScript(summarizeElements, shown);
+            const results = [];
+            for (const [index, element] of shown.entries()) {
+                results.push({ index, element_ref: await rememberElement(session_id, element), ...summaries[index] });
+            }
+            const more = elements.length > shown.length ? `\n(showing ${shown.length} of ${elements.length} matches)` : '';
+            return {
+                content: [{ type: 'text', text: JSON.stringify(results, null, 2) + more }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error finding elements: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "suggest_locators",
+    "suggests robust locators for an element, ranked, each checked for uniqueness against the current page",
+    {
+        ...locatorSchema,
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const suggestions = await driver.executeScript(SUGGEST_LOCATORS_SCRIPT, element, config.testIdAttribute);
+            return {
+                content: [{ type: 'text', text: JSON.stringify(suggestions, null, 2) }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error suggesting locators: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "wait_for",
+    "waits until a condition is met (element visible/hidden/enabled/stale, text in element, title, URL, JS expression or alert)",
+    {
+        condition: z.enum(["visible", "hidden", "enabled", "stale", "text_present", "title_contains", "url_matches", "js_truthy", "alert_present"]).describe("Condition to wait for"),
+        by: locatorStrategySchema.optional().describe("Locator strategy for element conditions"),
+        value: z.string().optional().describe("Value for the locator strategy"),
+        element_ref: z.string().optional().describe("Element handle from find_element or find_elements, instead of by and value"),
+        relative: relativeSchema,
+        text: z.string().optional().describe("Text expected for text_present (in the element) and title_contains"),
+        pattern: z.string().optional().describe("Regular expression the URL must match for url_matches"),
+        script: z.string().optional().describe("JavaScript expression that must become truthy for js_truthy"),
+        timeout: z.number().optional().describe("Maximum time to wait in milliseconds"),
+        interval: z.number().optional().describe("Polling interval in milliseconds"),
+        ...sessionSchema
+    },
+    async ({ condition, by, value, element_ref, relative, text, pattern, script, timeout = 10000, interval = 200, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const args = { text, pattern, script };
+            if (elementWaitConditions.includes(condition)) {
+                if (!element_ref && (!by || !value)) {
+                    throw new Error(`Condition ${condition} requires by and value, or element_ref`);
+                }
+                args.locator = resolveLocator(session_id, { by, value, element_ref, relative });
+            }
+            if (['text_present', 'title_contains'].includes(condition) && text === undefined) {
+                throw new Error(`Condition ${condition} requires text`);
+            }
+            if (condition === 'url_matches' && !pattern) {
+                throw new Error('Condition url_matches requires pattern');
+            }
+            if (condition === 'js_truthy') {
+                assertScriptsAllowed();
+                if (!script) {
+                    throw new Error('Condition js_truthy requires script');
+                }
+            }
+            if (condition === 'stale') {
+                // A handle may already be stale, which is exactly what this condition waits for
+                args.element = element_ref ? getElementRef(session_id, element_ref) : await driver.findElement(args.locator);
+            }
+            let observed;
+            try {
+                await driver.wait(async () => {
+                    try {
+                        const result = await waitConditions[condition](driver, args);
+                        observed = result.observed;
+                        return result.met;
+                    } catch (e) {
+                        // The element was re-rendered between lookup and check; poll again
+                        if (e instanceof error.StaleElementReferenceError) {
+                            observed = 'element was replaced while checking';
+                            return false;
+                        }
+                        throw e;
+                    }
+                }, timeout, undefined, interval);
+            } catch (e) {
+                if (e instanceof error.TimeoutError) {
+                    throw new Error(`Timed out after ${timeout}ms waiting for ${condition}; last observed: ${observed}`);
+                }
+                throw e;
+            }
+            return {
+                content: [{ type: 'text', text: `Condition ${condition} met: ${observed}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error waiting for condition: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "click_element",
+    "clicks an element",
+    {
+        ...locatorSchema,
+        ...forceSchema,
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, force, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            if (!force) {
+                await waitForActionable(driver, element, timeout);
+            }
+            await element.click();
+            return {
+                content: [{ type: 'text', text: 'Element clicked' }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error clicking element: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "send_keys",
+    "sends keys to an element, aka typing; {Enter} or {Ctrl+A} style tokens press special keys and chords",
+    {
+        ...locatorSchema,
+        text: z.string().describe("Text to enter into the element; tokens like {Enter}, {Tab}, {Ctrl+A}{Backspace} or {Shift+Tab} press keys"),
+        mode: z.enum(["replace", "append", "select_all"]).optional().describe("replace clears the field first (default), append keeps its content, select_all clears it with Ctrl/Cmd+A and Backspace like a user would"),
+        delay: z.number().optional().describe("Milliseconds to wait between keystrokes, e.g. for debounced search boxes"),
+        ...forceSchema,
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, text, mode = 'replace', delay = 0, timeout = 10000, force, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            if (!force) {
+                await waitForActionable(driver, element, timeout);
+            }
+            if (mode === 'replace') {
+                await element.clear();
+            } else if (mode === 'select_all') {
+                await clearBySelectAll(driver, element);
+            }
+            const keys = parseKeys(text);
+            if (delay > 0) {
+                for (const [index, key] of keys.entries()) {
+                    if (index > 0) {
+                        await driver.sleep(delay);
+                    }
+                    await element.sendKeys(key);
+                }
+            } else {
+                await element.sendKeys(...keys);
+            }
+            return {
+                content: [{ type: 'text', text: `Text "${text}" entered into element` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error entering text: ${e.message}` }]
+            };
+        }
+    }
+);
 
-// Common schemas
-const browserOptionsSchema = z.object({
-    headless: z.boolean().optional().describe("Run browser in headless mode"),
-    arguments: z.array(z.string()).optional().describe("Additional browser arguments")
-}).optional();
+registerTool(
+    "select_option",
+    "selects options of a <select> element by visible text, value or index",
+    {
+        ...locatorSchema,
+        optionText: z.union([z.string(), z.array(z.string())]).optional().describe("Visible text of the option, or a list of them for a multi-select"),
+        optionValue: z.union([z.string(), z.array(z.string())]).optional().describe("Value attribute of the option, or a list of them for a multi-select"),
+        optionIndex: z.union([z.number(), z.array(z.number())]).optional().describe("Zero-based index of the option, or a list of them for a multi-select"),
+        append: z.boolean().optional().describe("On a multi-select, keep the options that are already selected (default false)"),
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, optionText, optionValue, optionIndex, append, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const selected = await selectOptions(element, { text: optionText, value: optionValue, index: optionIndex, append });
+            return {
+                content: [{ type: 'text', text: `Selected: ${selected.map(text => `"${text}"`).join(', ')}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error selecting option: ${e.message}` }]
+            };
+        }
+    }
+);
 
-const locatorSchema = {
-    by: z.enum(["id", "css", "xpath", "name", "tag", "class"]).describe("Locator strategy to find element"),
-    value: z.string().describe("Value for the locator strategy"),
-    timeout: z.number().optional().describe("Maximum time to wait for element in milliseconds")
-};
+registerTool(
+    "set_checkbox",
+    "checks or unchecks a checkbox (or checks a radio button), clicking it only when its state differs",
+    {
+        ...locatorSchema,
+        checked: z.boolean().describe("Target state"),
+        ...forceSchema,
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, checked, timeout = 10000, force, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const clicked = await setChecked(driver, element, checked, { timeout, force });
+            const state = checked ? 'checked' : 'unchecked';
+            return {
+                content: [{ type: 'text', text: clicked ? `Element ${state}` : `Element was already ${state}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error setting checkbox: ${e.message}` }]
+            };
+        }
+    }
+);
 
-// Browser Management Tools
-server.tool(
-    "start_browser",
-    "launches browser",
+registerTool(
+    "fill_form",
+    "fills several form fields in one call, choosing how to fill each one from its type, and reports the result per field",
     {
-        browser: z.enum(["chrome", "firefox", "edge"]).describe("Browser to launch (chrome or firefox or microsoft edge)"),
-        options: browserOptionsSchema
+        fields: z.record(z.union([z.string(), z.number(), z.boolean(), z.array(z.string())])).describe("Map of locator to value. Keys are 'strategy=value' (e.g. 'label=Email', 'id=country') or 'element_ref=e1'. Use true/false for checkboxes and radio buttons, option text or value for selects (a list for a multi-select) and a file path for file inputs"),
+        timeout: z.number().optional().describe("Maximum time to wait for each field in milliseconds"),
+        ...forceSchema,
+        ...sessionSchema
     },
-    async ({ browser, options = {} }) => {
+    async ({ fields, timeout = 10000, force, session_id }) => {
         try {
-            let builder = new Builder();
-            let driver;
-            switch (browser) {
-                case 'chrome': {
-                    const chromeOptions = new ChromeOptions();
-                    if (options.headless) {
-                        chromeOptions.addArguments('--headless=new');
-                    }
-                    if (options.arguments) {
-                        options.arguments.forEach(arg => chromeOptions.addArguments(arg));
-                    }
-                    driver = await builder
-                        .forBrowser('chrome')
-                        .setChromeOptions(chromeOptions)
-                        .build();
-                    break;
-                }
-                case 'edge': {
-                    const edgeOptions = new EdgeOptions();
-                    if (options.headless) {
-                        edgeOptions.addArguments('--headless=new');
-                    }
-                    if (options.arguments) {
-                        options.arguments.forEach(arg => edgeOptions.addArguments(arg));
-                    }
-                    driver = await builder
-                        .forBrowser('edge')
-                        .setEdgeOptions(edgeOptions)
-                        .build();
-                    break;
-                }
-                case 'firefox': {
-                    const firefoxOptions = new FirefoxOptions();
-                    if (options.headless) {
-                        firefoxOptions.addArguments('--headless');
-                    }
-                    if (options.arguments) {
-                        options.arguments.forEach(arg => firefoxOptions.addArguments(arg));
-                    }
-                    driver = await builder
-                        .forBrowser('firefox')
-                        .setFirefoxOptions(firefoxOptions)
-                        .build();
-                    break;
-                }
-                default: {
-                    throw new Error(`Unsupported browser: ${browser}`);
+            const driver = getDriver(session_id);
+            const results = [];
+            for (const [field, input] of Object.entries(fields)) {
+                try {
+                    results.push({ field, ok: true, result: await fillField(driver, session_id, field, input, { timeout, force }) });
+                } catch (e) {
+                    results.push({ field, ok: false, error: e.message });
                 }
             }
-            const sessionId = `${browser}_${Date.now()}`;
-            state.drivers.set(sessionId, driver);
-            state.currentSession = sessionId;
+            const filled = results.filter(result => result.ok).length;
+            return {
+                content: [{ type: 'text', text: `Filled ${filled} of ${results.length} fields\n${JSON.stringify(results, null, 2)}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error filling form: ${e.message}` }]
+            };
+        }
+    }
+);
 
+registerTool(
+    "get_element_text",
+    "gets the text() of an element",
+    {
+        ...locatorSchema,
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const text = await element.getText();
             return {
-                content: [{ type: 'text', text: `Browser started with session_id: ${sessionId}` }]
+                content: [{ type: 'text', text }]
             };
         } catch (e) {
             return {
-                content: [{ type: 'text', text: `Error starting browser: ${e.message}` }]
+                content: [{ type: 'text', text: `Error getting element text: ${e.message}` }]
             };
         }
     }
 );
 
-server.tool(
-    "navigate",
-    "navigates to a URL",
+registerTool(
+    "get_element_attribute",
+    "gets the value of an HTML attribute of an element",
     {
-        url: z.string().describe("URL to navigate to")
+        ...locatorSchema,
+        name: z.string().describe("Attribute name, e.g. href or aria-expanded"),
+        ...sessionSchema
     },
-    async ({ url }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, name, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            await driver.get(url);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const attribute = await element.getDomAttribute(name);
             return {
-                content: [{ type: 'text', text: `Navigated to ${url}` }]
+                content: [{ type: 'text', text: attribute === null ? `Attribute ${name} is not set` : attribute }]
             };
         } catch (e) {
             return {
-                content: [{ type: 'text', text: `Error navigating: ${e.message}` }]
+                content: [{ type: 'text', text: `Error getting element attribute: ${e.message}` }]
             };
         }
     }
 );
 
-// Element Interaction Tools
-server.tool(
-    "find_element",
-    "finds an element",
+registerTool(
+    "get_element_property",
+    "gets the value of a DOM property of an element, such as value or checked",
     {
-        ...locatorSchema
+        ...locatorSchema,
+        name: z.string().describe("Property name, e.g. value, checked or selectedIndex"),
+        ...sessionSchema
     },
-    async ({ by, value, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, name, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            await driver.wait(until.elementLocated(locator), timeout);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const property = await element.getProperty(name);
             return {
-                content: [{ type: 'text', text: 'Element found' }]
+                content: [{ type: 'text', text: typeof property === 'string' ? property : JSON.stringify(property ?? null) }]
             };
         } catch (e) {
             return {
-                content: [{ type: 'text', text: `Error finding element: ${e.message}` }]
+                content: [{ type: 'text', text: `Error getting element property: ${e.message}` }]
             };
         }
     }
 );
 
-server.tool(
-    "click_element",
-    "clicks an element",
+registerTool(
+    "get_css_value",
+    "gets the computed value of a CSS property of an element",
     {
-        ...locatorSchema
+        ...locatorSchema,
+        property: z.string().describe("CSS property name, e.g. color or display"),
+        ...sessionSchema
     },
-    async ({ by, value, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, property, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
-            await element.click();
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const cssValue = await element.getCssValue(property);
             return {
-                content: [{ type: 'text', text: 'Element clicked' }]
+                content: [{ type: 'text', text: cssValue }]
             };
         } catch (e) {
             return {
-                content: [{ type: 'text', text: `Error clicking element: ${e.message}` }]
+                content: [{ type: 'text', text: `Error getting CSS value: ${e.message}` }]
             };
         }
     }
 );
 
-server.tool(
-    "send_keys",
-    "sends keys to an element, aka typing",
+registerTool(
+    "get_element_rect",
+    "gets the position and size of an element in pixels",
     {
         ...locatorSchema,
-        text: z.string().describe("Text to enter into the element")
+        ...sessionSchema
     },
-    async ({ by, value, text, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
-            await element.clear();
-            await element.sendKeys(text);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const rect = await element.getRect();
             return {
-                content: [{ type: 'text', text: `Text "${text}" entered into element` }]
+                content: [{ type: 'text', text: JSON.stringify(rect) }]
             };
         } catch (e) {
             return {
-                content: [{ type: 'text', text: `Error entering text: ${e.message}` }]
+                content: [{ type: 'text', text: `Error getting element rect: ${e.message}` }]
             };
         }
     }
 );
 
-server.tool(
-    "get_element_text",
-    "gets the text() of an element",
+registerTool(
+    "inspect_element",
+    "returns the tag, text, value, key attributes, state and bounding box of an element",
     {
-        ...locatorSchema
+        ...locatorSchema,
+        ...sessionSchema
     },
-    async ({ by, value, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
-            const text = await element.getText();
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            const [summary] = await driver.executeScript(summarizeElements, [element]);
+            const details = {
+                tag: await element.getTagName(),
+                text: await element.getText(),
+                value: (await element.getProperty('value')) ?? null,
+                attributes: summary.attributes,
+                displayed: await element.isDisplayed(),
+                enabled: await element.isEnabled(),
+                selected: await element.isSelected(),
+                rect: await element.getRect()
+            };
             return {
-                content: [{ type: 'text', text }]
+                content: [{ type: 'text', text: JSON.stringify(details, null, 2) }]
             };
         } catch (e) {
             return {
-                content: [{ type: 'text', text: `Error getting element text: ${e.message}` }]
+                content: [{ type: 'text', text: `Error inspecting element: ${e.message}` }]
             };
         }
     }
 );
 
-server.tool(
+registerTool(
     "hover",
     "moves the mouse to hover over an element",
     {
-        ...locatorSchema
+        ...locatorSchema,
+        ...sessionSchema
     },
-    async ({ by, value, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
             const actions = driver.actions({ bridge: true });
             await actions.move({ origin: element }).perform();
             return {
@@ -268,23 +2644,34 @@ server.tool(
     }
 );
 
-server.tool(
+registerTool(
     "drag_and_drop",
-    "drags an element and drops it onto another element",
+    "drags an element and drops it onto another element, or by a pixel offset",
     {
         ...locatorSchema,
-        targetBy: z.enum(["id", "css", "xpath", "name", "tag", "class"]).describe("Locator strategy to find target element"),
-        targetValue: z.string().describe("Value for the target locator strategy")
+        targetBy: locatorStrategySchema.optional().describe("Locator strategy to find target element"),
+        targetValue: z.string().optional().describe("Value for the target locator strategy"),
+        targetRef: z.string().optional().describe("Element handle of the target, instead of targetBy and targetValue"),
+        offset: z.object({
+            x: z.number().describe("Pixels to drag right (negative drags left)"),
+            y: z.number().describe("Pixels to drag down (negative drags up)")
+        }).optional().describe("Drag by a pixel offset instead of onto a target element, e.g. for sliders"),
+        ...sessionSchema
     },
-    async ({ by, value, targetBy, targetValue, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, targetBy, targetValue, targetRef, offset, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const sourceLocator = getLocator(by, value);
-            const targetLocator = getLocator(targetBy, targetValue);
-            const sourceElement = await driver.wait(until.elementLocated(sourceLocator), timeout);
-            const targetElement = await driver.wait(until.elementLocated(targetLocator), timeout);
+            const driver = getDriver(session_id);
+            const sourceLocator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const sourceElement = await locateElement(driver, session_id, sourceLocator, timeout);
+            let target;
+            if (offset) {
+                target = { x: Math.round(offset.x), y: Math.round(offset.y) };
+            } else {
+                const targetLocator = resolveLocator(session_id, { by: targetBy, value: targetValue, element_ref: targetRef });
+                target = await locateElement(driver, session_id, targetLocator, timeout);
+            }
             const actions = driver.actions({ bridge: true });
-            await actions.dragAndDrop(sourceElement, targetElement).perform();
+            await actions.dragAndDrop(sourceElement, target).perform();
             return {
                 content: [{ type: 'text', text: 'Drag and drop completed' }]
             };
@@ -296,17 +2683,22 @@ server.tool(
     }
 );
 
-server.tool(
+registerTool(
     "double_click",
     "performs a double click on an element",
     {
-        ...locatorSchema
+        ...locatorSchema,
+        ...forceSchema,
+        ...sessionSchema
     },
-    async ({ by, value, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, force, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            if (!force) {
+                await waitForActionable(driver, element, timeout);
+            }
             const actions = driver.actions({ bridge: true });
             await actions.doubleClick(element).perform();
             return {
@@ -320,17 +2712,22 @@ server.tool(
     }
 );
 
-server.tool(
+registerTool(
     "right_click",
     "performs a right click (context click) on an element",
     {
-        ...locatorSchema
+        ...locatorSchema,
+        ...forceSchema,
+        ...sessionSchema
     },
-    async ({ by, value, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, timeout = 10000, force, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            if (!force) {
+                await waitForActionable(driver, element, timeout);
+            }
             const actions = driver.actions({ bridge: true });
             await actions.contextClick(element).perform();
             return {
@@ -344,19 +2741,99 @@ server.tool(
     }
 );
 
-server.tool(
+registerTool(
+    "click_at",
+    "clicks at viewport coordinates, or at an offset from the center of an element",
+    {
+        x: z.number().describe("X coordinate in the viewport, or offset from the element center when a locator is given"),
+        y: z.number().describe("Y coordinate in the viewport, or offset from the element center when a locator is given"),
+        button: z.enum(["left", "middle", "right"]).optional().describe("Mouse button (default left)"),
+        clickCount: z.number().optional().describe("Number of clicks, e.g. 2 for a double click (default 1)"),
+        ...locatorSchema,
+        ...sessionSchema
+    },
+    async ({ x, y, button = 'left', clickCount = 1, by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            let origin = Origin.VIEWPORT;
+            if (by || element_ref || candidates?.length) {
+                const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+                origin = await locateElement(driver, session_id, locator, timeout);
+            }
+            let actions = driver.actions({ bridge: true }).move({ x: Math.round(x), y: Math.round(y), origin });
+            for (let i = 0; i < clickCount; i++) {
+                actions = actions.press(BUTTONS[button]).release(BUTTONS[button]);
+            }
+            await actions.perform();
+            return {
+                content: [{ type: 'text', text: `Clicked at (${x}, ${y})${origin === Origin.VIEWPORT ? '' : ' from the element center'}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error clicking at position: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "perform_actions",
+    "performs a low-level sequence of pointer, wheel and key actions, e.g. for canvases, sliders, signature pads and maps",
+    {
+        actions: z.array(actionStepSchema).describe("Steps performed in order, such as move, down, move, up to draw a stroke"),
+        pointerType: z.enum(["mouse", "touch", "pen"]).optional().describe("Kind of pointer the move, down and up steps use (default mouse)"),
+        timeout: z.number().optional().describe("Maximum time to wait for each element in milliseconds"),
+        ...sessionSchema
+    },
+    async ({ actions: steps, pointerType = 'mouse', timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const actions = await buildActions(driver, session_id, steps, pointerType, timeout);
+            await actions.perform();
+            return {
+                content: [{ type: 'text', text: `Performed ${steps.length} actions` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error performing actions: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
     "press_key",
-    "simulates pressing a keyboard key",
+    "presses a key or key combination, such as Enter, ArrowDown or Control+Shift+K, optionally on a given element",
     {
-        key: z.string().describe("Key to press (e.g., 'Enter', 'Tab', 'a', etc.)")
+        key: z.string().describe("Key name or character (e.g. 'Enter', 'Tab', 'Escape', 'ArrowDown', 'F5', 'PageUp', 'a'), or a combination joined with + (e.g. 'Control+Shift+K')"),
+        repeat: z.number().optional().describe("How many times to press the key (default 1)"),
+        ...locatorSchema,
+        ...sessionSchema
     },
-    async ({ key }) => {
+    async ({ key, repeat = 1, by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const actions = driver.actions({ bridge: true });
-            await actions.keyDown(key).keyUp(key).perform();
+            const driver = getDriver(session_id);
+            const keys = [...key].length === 1 ? [key] : parseChord(key);
+            if (!keys) {
+                throw new Error(`Unknown key: ${key}. Use names like Enter, Tab, Escape, ArrowDown, F5 or PageUp, a single character, or a combination such as Control+Shift+K`);
+            }
+            if (by || element_ref || candidates?.length) {
+                const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+                const element = await locateElement(driver, session_id, locator, timeout);
+                await driver.executeScript('arguments[0].focus();', element);
+            }
+            let actions = driver.actions({ bridge: true });
+            for (let i = 0; i < repeat; i++) {
+                for (const k of keys) {
+                    actions = actions.keyDown(k);
+                }
+                for (const k of [...keys].reverse()) {
+                    actions = actions.keyUp(k);
+                }
+            }
+            await actions.perform();
             return {
-                content: [{ type: 'text', text: `Key '${key}' pressed` }]
+                content: [{ type: 'text', text: `Key '${key}' pressed${repeat > 1 ? ` ${repeat} times` : ''}` }]
             };
         } catch (e) {
             return {
@@ -366,18 +2843,19 @@ server.tool(
     }
 );
 
-server.tool(
+registerTool(
     "upload_file",
     "uploads a file using a file input element",
     {
         ...locatorSchema,
-        filePath: z.string().describe("Absolute path to the file to upload")
+        filePath: z.string().describe("Absolute path to the file to upload"),
+        ...sessionSchema
     },
-    async ({ by, value, filePath, timeout = 10000 }) => {
+    async ({ by, value, element_ref, relative, candidates, heal, filePath, timeout = 10000, session_id }) => {
         try {
-            const driver = getDriver();
-            const locator = getLocator(by, value);
-            const element = await driver.wait(until.elementLocated(locator), timeout);
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
             await element.sendKeys(filePath);
             return {
                 content: [{ type: 'text', text: 'File upload initiated' }]
@@ -390,15 +2868,16 @@ server.tool(
     }
 );
 
-server.tool(
+registerTool(
     "take_screenshot",
     "captures a screenshot of the current page",
     {
-        outputPath: z.string().optional().describe("Optional path where to save the screenshot. If not provided, returns base64 data.")
+        outputPath: z.string().optional().describe("Optional path where to save the screenshot. If not provided, returns base64 data."),
+        ...sessionSchema
     },
-    async ({ outputPath }) => {
+    async ({ outputPath, session_id }) => {
         try {
-            const driver = getDriver();
+            const driver = getDriver(session_id);
             const screenshot = await driver.takeScreenshot();
             if (outputPath) {
                 const fs = await import('fs');
@@ -422,17 +2901,266 @@ server.tool(
     }
 );
 
-server.tool(
-    "close_session",
-    "closes the current browser session",
+// Scrolling Tools
+registerTool(
+    "scroll_to_element",
+    "scrolls the page (and any scrollable parents) so that an element is centered in the viewport",
+    {
+        ...locatorSchema,
+        block: z.enum(["start", "center", "end", "nearest"]).optional().describe("Vertical alignment of the element in the viewport (default center)"),
+        ...sessionSchema
+    },
+    async ({ by, value, element_ref, relative, candidates, heal, block = 'center', timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+            const element = await locateElement(driver, session_id, locator, timeout);
+            await driver.executeScript('arguments[0].scrollIntoView({ block: arguments[1], inline: "center" });', element, block);
+            return {
+                content: [{ type: 'text', text: 'Scrolled element into view' }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error scrolling to element: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "scroll_by",
+    "scrolls the window, or a scrollable container given by locator, by a pixel offset",
+    {
+        x: z.number().optional().describe("Pixels to scroll right (negative scrolls left)"),
+        y: z.number().optional().describe("Pixels to scroll down (negative scrolls up)"),
+        ...locatorSchema,
+        ...sessionSchema
+    },
+    async ({ x = 0, y = 0, by, value, element_ref, relative, candidates, heal, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            let container = null;
+            if (by || element_ref || candidates?.length) {
+                const locator = resolveLocator(session_id, { by, value, element_ref, relative, candidates, heal });
+                container = await locateElement(driver, session_id, locator, timeout);
+            }
+            const position = await driver.executeScript(`
+                const target = arguments[0];
+                (target || window).scrollBy(arguments[1], arguments[2]);
+                return target ? { x: target.scrollLeft, y: target.scrollTop } : { x: window.scrollX, y: window.scrollY };
+            `, container, x, y);
+            return {
+                content: [{ type: 'text', text: `Scrolled ${container ? 'container' : 'window'} by (${x}, ${y}); scroll position is now (${Math.round(position.x)}, ${Math.round(position.y)})` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error scrolling: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "scroll_until",
+    "keeps scrolling to the end of an infinite feed until an element appears, enough items are loaded or the page stops growing",
+    {
+        by: locatorStrategySchema.optional().describe("Locator strategy of the element to wait for, or of the items to count"),
+        value: z.string().optional().describe("Value for the locator strategy; without by and value, scrolls until the page stops growing"),
+        count: z.number().optional().describe("Keep scrolling until at least this many elements match (default 1)"),
+        containerBy: locatorStrategySchema.optional().describe("Locator strategy of a scrollable container (defaults to the page)"),
+        containerValue: z.string().optional().describe("Value for the container locator strategy"),
+        containerRef: z.string().optional().describe("Element handle of the container, instead of containerBy and containerValue"),
+        pause: z.number().optional().describe("Milliseconds to wait for content to load after each scroll (default 500)"),
+        maxScrolls: z.number().optional().describe("Maximum number of scrolls (default 50)"),
+        timeout: z.number().optional().describe("Maximum time to wait for the container in milliseconds"),
+        ...sessionSchema
+    },
+    async ({ by, value, count = 1, containerBy, containerValue, containerRef, pause = 500, maxScrolls = 50, timeout = 10000, session_id }) => {
+        try {
+            const driver = getDriver(session_id);
+            const locator = by ? resolveLocator(session_id, { by, value }) : null;
+            let container = null;
+            if (containerBy || containerRef) {
+                const containerLocator = resolveLocator(session_id, { by: containerBy, value: containerValue, element_ref: containerRef });
+                container = await locateElement(driver, session_id, containerLocator, timeout);
+            }
+            const scrollCount = n => `${n} scroll${n === 1 ? '' : 's'}`;
+            let previousHeight = null;
+            for (let scrolls = 0; ; scrolls++) {
+                const matches = locator ? (await driver.findElements(locator)).length : 0;
+                if (locator && matches >= count) {
+                    const found = count > 1 ? `Found ${matches} matching elements` : 'Element appeared';
+                    return {
+                        content: [{ type: 'text', text: `${found} after ${scrollCount(scrolls)}` }]
+                    };
+                }
+                const progress = locator ? ` with ${matches} of ${count} matching elements` : '';
+                if (scrolls === maxScrolls) {
+                    throw new Error(`gave up after ${scrollCount(maxScrolls)}${progress}`);
+                }
+                const height = await driver.executeScript(scrollToEnd, container);
+                if (height === previousHeight) {
+                    if (locator) {
+                        throw new Error(`page stopped growing after ${scrollCount(scrolls)}${progress}`);
+                    }
+                    return {
+                        content: [{ type: 'text', text: `Page stopped growing after ${scrollCount(scrolls)}` }]
+                    };
+                }
+                previousHeight = height;
+                await driver.sleep(pause);
+            }
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error scrolling: ${e.message}` }]
+            };
+        }
+    }
+);
+
+// Script Tools
+const scriptSchema = {
+    script: z.string().describe("Body of a JavaScript function; read arguments through `arguments` and return the result"),
+    args: z.array(z.any()).optional().describe("Arguments for the script. An object of the form {\"element\": {\"by\": ..., \"value\": ...}} or {\"element\": {\"element_ref\": ...}} is passed as that element"),
+    timeout: z.number().optional().describe("Maximum time to wait for element arguments in milliseconds"),
+    ...sessionSchema
+};
+
+const runScript = (async) => async ({ script, args = [], timeout = 10000, scriptTimeout = 30000, session_id }) => {
+    try {
+        assertScriptsAllowed();
+        const driver = getDriver(session_id);
+        const resolved = await resolveScriptArgs(driver, session_id, args, timeout);
+        let result;
+        if (async) {
+            // The script timeout is session-wide and also limits synchronous scripts, so it only applies to this call
+            const { script: previousTimeout } = await driver.manage().getTimeouts();
+            await driver.manage().setTimeouts({ script: scriptTimeout });
+            try {
+                result = await driver.executeAsyncScript(wrapScript(script, true), ...resolved);
+            } finally {
+                await driver.manage().setTimeouts({ script: previousTimeout });
+            }
+        } else {
+            result = await driver.executeScript(wrapScript(script, false), ...resolved);
+        }
+        return {
+            content: [{ type: 'text', text: await formatScriptResult(driver, session_id, result) }]
+        };
+    } catch (e) {
+        return {
+            content: [{ type: 'text', text: `Error executing script: ${e.message}` }]
+        };
+    }
+};
+
+registerTool(
+    "execute_script",
+    "runs JavaScript in the page and returns its result as JSON, with elements summarized and given an element_ref",
+    scriptSchema,
+    runScript(false)
+);
+
+registerTool(
+    "execute_async_script",
+    "runs asynchronous JavaScript in the page; the script finishes by calling the callback passed as its last argument, and the value it passes is returned as JSON",
+    {
+        ...scriptSchema,
+        scriptTimeout: z.number().optional().describe("Maximum time for the script to call its callback in milliseconds (default 30000)")
+    },
+    runScript(true)
+);
+
+registerTool(
+    "attach_session",
+    "attaches to an already running WebDriver session without launching a new browser",
+    {
+        serverUrl: z.string().describe("URL of the WebDriver server that owns the session, e.g. http://localhost:4444/wd/hub or http://localhost:9515 for chromedriver"),
+        webdriverSessionId: z.string().describe("Existing WebDriver session id to take over"),
+        session_id: z.string().optional().describe("Optional id to register the session under (defaults to the WebDriver session id)")
+    },
+    async ({ serverUrl, webdriverSessionId, session_id }) => {
+        try {
+            const sessionId = session_id || webdriverSessionId;
+            if (state.drivers.has(sessionId)) {
+                throw new Error(`Browser session ${sessionId} already exists`);
+            }
+            const driver = await attachDriver(serverUrl, webdriverSessionId);
+            registerSession(sessionId, driver, { browser: 'attached', remoteUrl: serverUrl, attached: true });
+            return {
+                content: [{ type: 'text', text: `Attached to session ${webdriverSessionId} on ${serverUrl} as session_id: ${sessionId}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error attaching to session: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "list_sessions",
+    "lists the open browser sessions",
     {},
     async () => {
+        if (state.drivers.size === 0) {
+            return {
+                content: [{ type: 'text', text: 'No active browser sessions' }]
+            };
+        }
+        const lines = Array.from(state.drivers.keys()).map(sessionId => {
+            const info = state.sessions.get(sessionId) || {};
+            const current = sessionId === state.currentSession ? ' (current)' : '';
+            const location = info.remoteUrl ? ` on ${info.remoteUrl}` : '';
+            return `${sessionId}: ${info.browser}${location}, started ${info.startedAt}${current}`;
+        });
+        return {
+            content: [{ type: 'text', text: lines.join('\n') }]
+        };
+    }
+);
+
+registerTool(
+    "switch_session",
+    "makes another open browser session the current one",
+    {
+        session_id: z.string().describe("Browser session to switch to")
+    },
+    async ({ session_id }) => {
+        try {
+            getDriver(session_id);
+            state.currentSession = session_id;
+            return {
+                content: [{ type: 'text', text: `Switched to browser session ${session_id}` }]
+            };
+        } catch (e) {
+            return {
+                content: [{ type: 'text', text: `Error switching session: ${e.message}` }]
+            };
+        }
+    }
+);
+
+registerTool(
+    "close_session",
+    "closes the current browser session",
+    {
+        session_id: z.string().optional().describe("Browser session to close (defaults to the current session)"),
+        detach: z.boolean().optional().describe("Forget the session but leave the browser running (defaults to true for attached sessions)")
+    },
+    async ({ session_id, detach }) => {
         try {
-            const driver = getDriver();
+            const driver = getDriver(session_id);
+            const sessionId = session_id || state.currentSession;
+            const { attached } = state.sessions.get(sessionId);
+            if (detach ?? attached) {
+                removeSession(sessionId);
+                return {
+                    content: [{ type: 'text', text: `Browser session ${sessionId} detached; the browser is still running` }]
+                };
+            }
             await driver.quit();
-            state.drivers.delete(state.currentSession);
-            const sessionId = state.currentSession;
-            state.currentSession = null;
+            removeSession(sessionId);
             return {
                 content: [{ type: 'text', text: `Browser session ${sessionId} closed` }]
             };
@@ -448,19 +3176,31 @@ server.tool(
 server.resource(
     "browser-status",
     new ResourceTemplate("browser-status://current"),
-    async (uri) => ({
-        contents: [{
-            uri: uri.href,
-            text: state.currentSession
-                ? `Active browser session: ${state.currentSession}`
-                : "No active browser session"
-        }]
-    })
+    async (uri) => {
+        const lines = [state.currentSession
+            ? `Active browser session: ${state.currentSession}`
+            : "No active browser session"];
+        for (const [sessionId, info] of state.sessions) {
+            lines.push(`${sessionId}: last activity ${new Date(info.lastActivity).toISOString()}, frame: ${describeFrames(info.frames)}, alert policy: ${info.alertPolicy}`);
+        }
+        if (config.idleTimeout > 0) {
+            lines.push(`Idle sessions are closed after ${config.idleTimeout / 1000}s`);
+        }
+        return {
+            contents: [{
+                uri: uri.href,
+                text: lines.join('\n')
+            }]
+        };
+    }
 );
 
 // Cleanup handler
 async function cleanup() {
     for (const [sessionId, driver] of state.drivers) {
+        if (state.sessions.get(sessionId)?.attached) {
+            continue;
+        }
         try {
             await driver.quit();
         } catch (e) {
@@ -468,6 +3208,7 @@ async function cleanup() {
         }
     }
     state.drivers.clear();
+    state.sessions.clear();
     state.currentSession = null;
     process.exit(0);
 }
@@ -0,0 +1,87 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for the actionability checks that run before click_element, send_keys,
+ * double_click and right_click, using a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Actionability Checks', () => {
+    let server;
+    let page;
+    const clicks = [];
+
+    beforeEach(() => {
+        page = { displayed: true, enabled: true, coveredBy: null, rects: [] };
+        clicks.length = 0;
+    });
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'act', capabilities: { browserName: 'chrome' } }],
+            'POST /session/act/elements': () => [200, [{ [ELEMENT_KEY]: 'submit' }]],
+            'POST /session/act/execute/sync': (body) => {
+                const { script } = JSON.parse(body);
+                if (script.includes('elementFromPoint')) {
+                    return [200, page.coveredBy];
+                }
+                return [200, page.displayed];
+            },
+            'GET /session/act/element/submit/enabled': () => [200, page.enabled],
+            'GET /session/act/element/submit/rect': () => [200, page.rects.length > 1 ? page.rects.shift() : (page.rects[0] || { x: 10, y: 20, width: 80, height: 30 })],
+            'POST /session/act/element/submit/click': () => {
+                clicks.push('submit');
+                return [200, null];
+            },
+            'DELETE /session/act': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should click once the element stops moving', async () => {
+        page.rects = [
+            { x: 10, y: 200, width: 80, height: 30 },
+            { x: 10, y: 120, width: 80, height: 30 },
+            { x: 10, y: 20, width: 80, height: 30 }
+        ];
+
+        const text = await callTool('click_element', { by: 'id', value: 'submit', timeout: 2000 });
+
+        assert.strictEqual(text, 'Element clicked');
+        assert.deepStrictEqual(clicks, ['submit']);
+    });
+
+    it('should name the element that would intercept the click', async () => {
+        page.coveredBy = 'div#cookie-banner.overlay';
+
+        const text = await callTool('click_element', { by: 'id', value: 'submit', timeout: 300 });
+
+        assert.strictEqual(text, 'Error clicking element: Element not actionable after 300ms: element is covered by <div#cookie-banner.overlay>, which would receive the click');
+        assert.deepStrictEqual(clicks, []);
+    });
+
+    it('should report disabled elements', async () => {
+        page.enabled = false;
+
+        const text = await callTool('double_click', { by: 'id', value: 'submit', timeout: 300 });
+
+        assert.strictEqual(text, 'Error performing double click: Element not actionable after 300ms: element is disabled');
+    });
+
+    it('should skip the checks when force is set', async () => {
+        page.coveredBy = 'div.spinner';
+
+        const text = await callTool('click_element', { by: 'id', value: 'submit', force: true });
+
+        assert.strictEqual(text, 'Element clicked');
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool, callToolTexts } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for alert, confirm and prompt handling, including the per-session
+ * policy for unexpected alerts, using a stub WebDriver endpoint
+ */
+
+describe('Alert Handling', () => {
+    let server;
+    let alert;
+    let capabilities;
+    const handled = [];
+
+    const withAlert = (respond) => () => alert
+        ? respond()
+        : [404, { error: 'no such alert', message: 'no such alert' }];
+
+    beforeEach(() => {
+        alert = null;
+        handled.length = 0;
+    });
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': (body) => {
+                capabilities = JSON.parse(body).capabilities.alwaysMatch;
+                return [200, { sessionId: 'alerts', capabilities }];
+            },
+            'GET /session/alerts/alert/text': withAlert(() => [200, alert.text]),
+            'POST /session/alerts/alert/accept': withAlert(() => {
+                handled.push('accept');
+                alert = null;
+                return [200, null];
+            }),
+            'POST /session/alerts/alert/dismiss': withAlert(() => {
+                handled.push('dismiss');
+                alert = null;
+                return [200, null];
+            }),
+            'POST /session/alerts/alert/text': withAlert(() => [200, null]),
+            'POST /session/alerts/refresh': () => [200, null],
+            'GET /session/alerts/url': () => [200, 'https://example.com/'],
+            'DELETE /session/alerts': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should leave unexpected alerts to the server instead of the driver', () => {
+        assert.strictEqual(capabilities.unhandledPromptBehavior, 'ignore');
+    });
+
+    it('should read, accept and dismiss alerts', async () => {
+        alert = { text: 'Delete this order?' };
+        assert.strictEqual(await callTool('get_alert_text', {}), 'Delete this order?');
+        assert.strictEqual(await callTool('accept_alert', {}), 'Alert "Delete this order?" accepted');
+
+        alert = { text: 'Leave page?' };
+        assert.strictEqual(await callTool('dismiss_alert', {}), 'Alert "Leave page?" dismissed');
+        assert.deepStrictEqual(handled, ['accept', 'dismiss']);
+
+        assert.strictEqual(await callTool('accept_alert', {}), 'Error accepting alert: no such alert');
+    });
+
+    it('should type into a prompt', async () => {
+        alert = { text: 'Your name?' };
+
+        assert.strictEqual(await callTool('send_alert_text', { text: 'Ada' }), 'Text "Ada" entered into prompt and accepted');
+        assert.deepStrictEqual(handled, ['accept']);
+    });
+
+    it('should dismiss unexpected alerts by default and say so', async () => {
+        alert = { text: 'Session expiring' };
+
+        const texts = await callToolTexts('refresh', {});
+
+        assert.strictEqual(texts[0], 'Refreshed https://example.com/');
+        assert.strictEqual(texts[1], 'Note: an unexpected alert "Session expiring" was dismissed automatically before running this tool');
+        assert.deepStrictEqual(handled, ['dismiss']);
+    });
+
+    it('should follow the session alert policy', async () => {
+        assert.strictEqual(await callTool('set_alert_policy', { policy: 'accept' }), 'Alert policy set to accept');
+        alert = { text: 'Saved!' };
+        const texts = await callToolTexts('refresh', {});
+        assert.ok(texts[1].includes('"Saved!" was accepted automatically'));
+
+        await callTool('set_alert_policy', { policy: 'ignore' });
+        alert = { text: 'Still here' };
+        assert.deepStrictEqual(await callToolTexts('refresh', {}), ['Refreshed https://example.com/']);
+        assert.deepStrictEqual(handled, ['accept']);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for find_elements and element_ref handles, against a stub WebDriver
+ * endpoint that serves a three-item list
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Element Handles', () => {
+    let server;
+    const stale = new Set();
+    const summaryArgs = [];
+
+    const summary = (tag, text) => ({ tag, text, attributes: {}, visible: true, rect: { x: 0, y: 0, width: 10, height: 10 } });
+
+    before(async () => {
+        const items = ['one', 'two', 'three'];
+        const routes = {
+            'POST /session': () => [200, { sessionId: 'refs', capabilities: { browserName: 'chrome' } }],
+            'POST /session/refs/elements': (body) => {
+                const { value } = JSON.parse(body);
+                if (value === 'li') {
+                    return [200, items.map(id => ({ [ELEMENT_KEY]: id }))];
+                }
+                if (value === '#first') {
+                    return [200, [{ [ELEMENT_KEY]: 'one' }]];
+                }
+                return [200, []];
+            },
+            'POST /session/refs/execute/sync': (body) => {
+                const { args } = JSON.parse(body);
+                summaryArgs.push(args[0].map(element => element[ELEMENT_KEY]));
+                return [200, args[0].map(element => summary('li', `Item ${element[ELEMENT_KEY]}`))];
+            },
+            'DELETE /session/refs': () => [200, null]
+        };
+        for (const id of items) {
+            const unlessStale = (value) => () => stale.has(id)
+                ? [404, { error: 'stale element reference', message: 'stale element not found' }]
+                : [200, value];
+            routes[`GET /session/refs/element/${id}/name`] = unlessStale('li');
+            routes[`GET /session/refs/element/${id}/enabled`] = unlessStale(true);
+            routes[`GET /session/refs/element/${id}/text`] = () => [200, `Item ${id}`];
+        }
+        server = createStubServer(routes);
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should list matches with an index, handle and summary', async () => {
+        const results = JSON.parse(await callTool('find_elements', { by: 'css', value: 'li', timeout: 100 }));
+        assert.deepStrictEqual(results.map(r => r.index), [0, 1, 2]);
+        assert.deepStrictEqual(results.map(r => r.element_ref), ['e1', 'e2', 'e3']);
+        assert.deepStrictEqual(results[1], { index: 1, element_ref: 'e2', ...summary('li', 'Item two') });
+    });
+
+    it('should cap the number of summaries at the limit', async () => {
+        const text = await callTool('find_elements', { by: 'css', value: 'li', limit: 2, timeout: 100 });
+        assert.ok(text.endsWith('(showing 2 of 3 matches)'));
+        assert.deepStrictEqual(summaryArgs.at(-1), ['one', 'two']);
+    });
+
+    it('should report when nothing matches', async () => {
+        const text = await callTool('find_elements', { by: 'css', value: '.missing', timeout: 100 });
+        assert.strictEqual(text, 'No matching elements found');
+    });
+
+    it('should give the same element the same handle', async () => {
+        const text = await callTool('find_element', { by: 'css', value: '#first', timeout: 100 });
+        assert.strictEqual(text, 'Element found (element_ref: e1)');
+    });
+
+    it('should accept element_ref in element tools', async () => {
+        const text = await callTool('get_element_text', { element_ref: 'e3', timeout: 100 });
+        assert.strictEqual(text, 'Item three');
+    });
+
+    it('should reject unknown handles and missing locators', async () => {
+        const unknown = await callTool('get_element_text', { element_ref: 'e99', timeout: 100 });
+        assert.ok(unknown.includes('Unknown element_ref e99'));
+
+        const missing = await callTool('get_element_text', { timeout: 100 });
+        assert.ok(missing.includes('Provide by and value, or element_ref'));
+    });
+
+    it('should explain stale handles', async () => {
+        stale.add('two');
+        const text = await callTool('get_element_text', { element_ref: 'e2', timeout: 100 });
+        assert.ok(text.includes('Element reference e2 is stale'), text);
+        assert.ok(text.includes('locate the element again'));
+    });
+
+    it('should treat a stale handle as met for the stale wait condition', async () => {
+        const text = await callTool('wait_for', { condition: 'stale', element_ref: 'e2', timeout: 500 });
+        assert.ok(text.startsWith('Condition stale met'), text);
+    });
+});
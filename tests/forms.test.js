@@ -0,0 +1,196 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for select_option, set_checkbox and fill_form, against a stub WebDriver
+ * endpoint that models a small signup form
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Form Tools', () => {
+    let server;
+    let page;
+    const typed = {};
+
+    const option = (id, parent, text, value, index) => ({ id, tag: 'option', parent, text, attributes: { value }, index, selected: false });
+    const resetPage = () => {
+        page = [
+            { id: 'country', tag: 'select', attributes: {} },
+            option('ca', 'country', 'Canada', 'ca', 0),
+            option('us', 'country', 'United States', 'us', 1),
+            { id: 'colors', tag: 'select', attributes: { multiple: '' } },
+            option('red', 'colors', 'Red', 'r', 0),
+            option('green', 'colors', 'Green', 'g', 1),
+            option('blue', 'colors', 'Blue', 'b', 2),
+            { id: 'qty', tag: 'select', attributes: {} },
+            option('four', 'qty', 'Four', '4', 0),
+            option('five', 'qty', 'Five', '5', 1),
+            { id: 'terms', tag: 'input', attributes: { type: 'checkbox' }, selected: false },
+            { id: 'plan', tag: 'input', attributes: { type: 'radio' }, selected: true },
+            { id: 'email', tag: 'input', attributes: { type: 'email' } },
+            { id: 'cv', tag: 'input', attributes: { type: 'file' } }
+        ];
+        page.find(e => e.id === 'ca').selected = true;
+    };
+    const byId = id => page.find(e => e.id === id);
+    const refs = elements => elements.map(e => ({ [ELEMENT_KEY]: e.id }));
+
+    const click = (element) => {
+        if (element.tag === 'option') {
+            const multiple = 'multiple' in byId(element.parent).attributes;
+            if (!multiple) {
+                page.filter(e => e.parent === element.parent).forEach(e => {
+                    e.selected = false;
+                });
+            }
+            element.selected = multiple ? !element.selected : true;
+        } else if (element.attributes.type === 'radio') {
+            element.selected = true;
+        } else {
+            element.selected = !element.selected;
+        }
+    };
+
+    const childMatches = (parent, { using, value }) => page.filter(e => e.parent === parent && (
+        using !== 'xpath'
+        || (value.includes('@value') && value.includes(`"${e.attributes.value}"`))
+        || (value.includes('normalize-space') && value.includes(`"${e.text}"`))
+    ));
+
+    before(async () => {
+        resetPage();
+        const routes = {
+            'POST /session': () => [200, { sessionId: 'form', capabilities: { browserName: 'chrome' } }],
+            'POST /session/form/elements': (body) => {
+                const { value } = JSON.parse(body);
+                const id = value.match(/id="(.+?)"|#(.+)/).slice(1).find(Boolean);
+                return [200, byId(id) ? refs([byId(id)]) : []];
+            },
+            'POST /session/form/execute/sync': (body) => {
+                // getAttribute atom, as used by selenium's Select helper
+                const { args: [ref, name] } = JSON.parse(body);
+                const element = byId(ref[ELEMENT_KEY]);
+                if (name === 'tagName') {
+                    return [200, element.tag.toUpperCase()];
+                }
+                if (name === 'index') {
+                    return [200, String(element.index)];
+                }
+                return [200, name in element.attributes ? 'true' : null];
+            },
+            'DELETE /session/form': () => [200, null]
+        };
+        for (const { id } of [...page]) {
+            const path = `/session/form/element/${id}`;
+            routes[`GET ${path}/name`] = () => [200, byId(id).tag];
+            routes[`GET ${path}/text`] = () => [200, byId(id).text || ''];
+            routes[`GET ${path}/selected`] = () => [200, Boolean(byId(id).selected)];
+            routes[`GET ${path}/enabled`] = () => [200, true];
+            routes[`POST ${path}/click`] = () => {
+                click(byId(id));
+                return [200, null];
+            };
+            routes[`POST ${path}/clear`] = () => {
+                typed[id] = '';
+                return [200, null];
+            };
+            routes[`POST ${path}/value`] = (body) => {
+                typed[id] = (typed[id] || '') + JSON.parse(body).text;
+                return [200, null];
+            };
+            routes[`POST ${path}/elements`] = (body) => [200, refs(childMatches(id, JSON.parse(body)))];
+            for (const name of ['type', 'multiple', 'role', 'aria-checked']) {
+                routes[`GET ${path}/attribute/${name}`] = () => [200, byId(id).attributes[name] ?? null];
+            }
+        }
+        server = createStubServer(routes);
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should select an option by visible text, value or index', async () => {
+        assert.strictEqual(await callTool('select_option', { by: 'id', value: 'country', optionText: 'United States', timeout: 100 }), 'Selected: "United States"');
+        assert.strictEqual(await callTool('select_option', { by: 'id', value: 'country', optionValue: 'ca', timeout: 100 }), 'Selected: "Canada"');
+        assert.strictEqual(await callTool('select_option', { by: 'id', value: 'country', optionIndex: 1, timeout: 100 }), 'Selected: "United States"');
+    });
+
+    it('should replace or extend the selection of a multi-select', async () => {
+        assert.strictEqual(await callTool('select_option', { by: 'id', value: 'colors', optionText: ['Red', 'Blue'], timeout: 100 }), 'Selected: "Red", "Blue"');
+        assert.strictEqual(await callTool('select_option', { by: 'id', value: 'colors', optionValue: 'g', timeout: 100 }), 'Selected: "Green"');
+        assert.strictEqual(await callTool('select_option', { by: 'id', value: 'colors', optionValue: 'r', append: true, timeout: 100 }), 'Selected: "Red", "Green"');
+    });
+
+    it('should reject bad select_option arguments', async () => {
+        const several = await callTool('select_option', { by: 'id', value: 'country', optionText: ['Canada', 'United States'], timeout: 100 });
+        assert.strictEqual(several, 'Error selecting option: Only a multi-select accepts several options');
+
+        const none = await callTool('select_option', { by: 'id', value: 'country', timeout: 100 });
+        assert.strictEqual(none, 'Error selecting option: Provide exactly one of optionText, optionValue or optionIndex');
+
+        const notSelect = await callTool('select_option', { by: 'id', value: 'email', optionText: 'x', timeout: 100 });
+        assert.strictEqual(notSelect, 'Error selecting option: Element is not a <select>');
+    });
+
+    it('should only click a checkbox when its state differs', async () => {
+        assert.strictEqual(await callTool('set_checkbox', { by: 'id', value: 'terms', checked: true, force: true, timeout: 100 }), 'Element checked');
+        assert.strictEqual(await callTool('set_checkbox', { by: 'id', value: 'terms', checked: true, force: true, timeout: 100 }), 'Element was already checked');
+        assert.strictEqual(await callTool('set_checkbox', { by: 'id', value: 'terms', checked: false, force: true, timeout: 100 }), 'Element unchecked');
+    });
+
+    it('should refuse to uncheck a radio button or tick a text field', async () => {
+        const radio = await callTool('set_checkbox', { by: 'id', value: 'plan', checked: false, force: true, timeout: 100 });
+        assert.ok(radio.includes('A radio button cannot be unchecked'));
+
+        const text = await callTool('set_checkbox', { by: 'id', value: 'email', checked: true, force: true, timeout: 100 });
+        assert.strictEqual(text, 'Error setting checkbox: Element is not a checkbox or radio button');
+    });
+
+    it('should fill each field according to its type and report per field', async () => {
+        resetPage();
+        const text = await callTool('fill_form', {
+            fields: {
+                'id=email': 'ada@example.com',
+                'id=country': 'us',
+                'id=colors': ['Green', 'Blue'],
+                'id=terms': true,
+                'id=cv': '/tmp/cv.pdf',
+                'id=missing': 'x',
+                'nonsense': 'x'
+            },
+            force: true,
+            timeout: 100
+        });
+        const [summary, ...json] = text.split('\n');
+        assert.strictEqual(summary, 'Filled 5 of 7 fields');
+
+        const results = JSON.parse(json.join('\n'));
+        assert.deepStrictEqual(results.slice(0, 5), [
+            { field: 'id=email', ok: true, result: 'filled' },
+            { field: 'id=country', ok: true, result: 'selected "United States"' },
+            { field: 'id=colors', ok: true, result: 'selected "Green", "Blue"' },
+            { field: 'id=terms', ok: true, result: 'checked' },
+            { field: 'id=cv', ok: true, result: 'file attached' }
+        ]);
+        assert.strictEqual(results[5].ok, false);
+        assert.strictEqual(results[6].error, "Field keys look like 'strategy=value' or 'element_ref=e1'");
+        assert.strictEqual(typed.email, 'ada@example.com');
+        assert.strictEqual(typed.cv, '/tmp/cv.pdf');
+    });
+
+    it('should match a numeric value against option values', async () => {
+        resetPage();
+        const text = await callTool('fill_form', { fields: { 'id=qty': 5 }, force: true, timeout: 100 });
+
+        const [summary, ...json] = text.split('\n');
+        assert.strictEqual(summary, 'Filled 1 of 1 fields');
+        assert.deepStrictEqual(JSON.parse(json.join('\n')), [{ field: 'id=qty', ok: true, result: 'selected "Five"' }]);
+        assert.strictEqual(byId('five').selected, true);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool, callToolTexts } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for frame switching and the per-session frame context, using a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Frame Tools', () => {
+    let server;
+    const frameCommands = [];
+    const lookups = [];
+    const windowSwitches = [];
+    let frameGone = false;
+
+    const readStatus = async () => {
+        const { handler } = await import('../src/lib/lambda.js');
+
+        const event = {
+            httpMethod: 'POST',
+            path: '/message',
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'resources/read',
+                params: {
+                    uri: 'browser-status://current'
+                }
+            })
+        };
+
+        const result = await handler(event, {});
+        return JSON.parse(result.body).result.contents[0].text;
+    };
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'frames', capabilities: { browserName: 'chrome' } }],
+            'POST /session/frames/elements': (body) => {
+                lookups.push(JSON.parse(body));
+                return [200, [{ [ELEMENT_KEY]: 'payment-frame' }]];
+            },
+            'POST /session/frames/frame': (body) => {
+                const { id } = JSON.parse(body);
+                if (frameGone && id !== null) {
+                    return [404, { error: 'no such frame', message: 'frame was removed' }];
+                }
+                frameCommands.push(id);
+                return [200, null];
+            },
+            'GET /session/frames/window/handles': () => [200, ['main', 'popup']],
+            'GET /session/frames/window': () => [200, 'main'],
+            'POST /session/frames/window': (body) => {
+                windowSwitches.push(JSON.parse(body).handle);
+                return [200, null];
+            },
+            'GET /session/frames/title': () => [200, 'Checkout'],
+            'GET /session/frames/url': () => [200, 'https://example.com/'],
+            'POST /session/frames/frame/parent': () => {
+                frameCommands.push('parent');
+                return [200, null];
+            },
+            'POST /session/frames/url': () => [200, null],
+            'DELETE /session/frames': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should switch into nested frames and track the path', async () => {
+        assert.strictEqual(
+            await callTool('switch_to_frame', { by: 'css', value: 'iframe.payment' }),
+            'Switched to frame: css=iframe.payment'
+        );
+        assert.strictEqual(
+            await callTool('switch_to_frame', { index: 0 }),
+            'Switched to frame: css=iframe.payment > index 0'
+        );
+        assert.strictEqual(frameCommands[0][ELEMENT_KEY], 'payment-frame');
+        assert.strictEqual(frameCommands[1], 0);
+
+        assert.ok((await readStatus()).includes('frame: css=iframe.payment > index 0'));
+    });
+
+    it('should switch to the parent frame and back to the top-level document', async () => {
+        assert.strictEqual(await callTool('switch_to_parent_frame', {}), 'Switched to parent frame: css=iframe.payment');
+        assert.strictEqual(await callTool('switch_to_default_content', {}), 'Switched to the top-level document');
+        assert.deepStrictEqual(frameCommands.slice(-2), ['parent', null]);
+
+        assert.ok((await readStatus()).includes('frame: top-level document'));
+    });
+
+    it('should find frames by name or id', async () => {
+        assert.strictEqual(await callTool('switch_to_frame', { name: 'checkout' }), 'Switched to frame: name=checkout');
+        assert.strictEqual(
+            lookups.at(-1).value,
+            'iframe[name="checkout"], iframe[id="checkout"], frame[name="checkout"], frame[id="checkout"]'
+        );
+    });
+
+    it('should reset the frame context after navigating', async () => {
+        await callTool('navigate', { url: 'https://example.com/' });
+
+        assert.ok((await readStatus()).includes('frame: top-level document'));
+    });
+
+    it('should return to the current frame after listing windows', async () => {
+        await callTool('switch_to_frame', { by: 'css', value: 'iframe.payment' });
+        await callTool('switch_to_frame', { index: 0 });
+        frameCommands.length = 0;
+
+        const windows = JSON.parse(await callTool('list_windows', {}));
+
+        assert.deepStrictEqual(windows.map(w => w.handle), ['main', 'popup']);
+        assert.deepStrictEqual(windowSwitches.slice(-3), ['main', 'popup', 'main']);
+        assert.strictEqual(frameCommands[0][ELEMENT_KEY], 'payment-frame');
+        assert.strictEqual(frameCommands[1], 0);
+        assert.ok((await readStatus()).includes('frame: css=iframe.payment > index 0'));
+    });
+
+    it('should say so when the frame cannot be re-entered after listing windows', async () => {
+        frameGone = true;
+        try {
+            const texts = await callToolTexts('list_windows', {});
+
+            assert.strictEqual(texts.length, 2);
+            assert.strictEqual(
+                texts[1],
+                'Note: could not return to frame css=iframe.payment > index 0 (frame was removed), so the session is now in the top-level document'
+            );
+            assert.strictEqual(frameCommands.at(-1), null);
+            assert.ok((await readStatus()).includes('frame: top-level document'));
+        } finally {
+            frameGone = false;
+        }
+    });
+});
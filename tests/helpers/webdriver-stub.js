@@ -0,0 +1,72 @@
+import http from 'node:http';
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+/**
+ * Minimal WebDriver HTTP endpoint for tests that need a "browser" without launching one.
+ *
+ * `routes` maps "METHOD /path" to a function that receives the request body and returns
+ * [statusCode, value], or a promise of it; the value is wrapped in the W3C `{ value }` envelope.
+ */
+export const createStubServer = (routes) => http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+    });
+    req.on('end', async () => {
+        const route = routes[`${req.method} ${req.url}`];
+        const [status, value] = route ? await route(body) : [404, { error: 'unknown command', message: `No route for ${req.method} ${req.url}` }];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ value }));
+    });
+});
+
+export const listen = async (server) => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+/**
+ * Calls a tool through the Lambda handler and returns the text of every content item
+ */
+export const callToolTexts = async (name, args) => {
+    const { handler } = await import('../../src/lib/lambda.js');
+
+    const event = {
+        httpMethod: 'POST',
+        path: '/message',
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'tools/call',
+            params: {
+                name,
+                arguments: args
+            }
+        })
+    };
+
+    const result = await handler(event, {});
+    return JSON.parse(result.body).result.content.map(item => item.text);
+};
+
+/**
+ * Calls a tool through the Lambda handler and returns the text of its first content item
+ */
+export const callTool = async (name, args) => (await callToolTexts(name, args))[0];
+
+/**
+ * Runs a script sent to an execute route in a jsdom window, the way a browser would, and returns
+ * [statusCode, value] for the route. Element references among the arguments become the fixture
+ * nodes registered in `elements` under their ids, and a returned promise is waited for.
+ * The window needs `runScripts: 'outside-only'`.
+ */
+export const executeInWindow = async (window, body, elements = {}) => {
+    const { script, args } = JSON.parse(body);
+    const resolved = args.map(arg => (arg && arg[ELEMENT_KEY] ? elements[arg[ELEMENT_KEY]] : arg));
+    try {
+        return [200, await new window.Function(script).apply(window, resolved)];
+    } catch (e) {
+        return [500, { error: 'javascript error', message: e.message }];
+    }
+};
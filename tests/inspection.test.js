@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for the element inspection tools, against a stub WebDriver endpoint
+ * serving a ticked checkbox
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Element Inspection Tools', () => {
+    let server;
+    const rect = { x: 10, y: 20, width: 16, height: 16 };
+
+    before(async () => {
+        const element = '/session/insp/element/terms';
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'insp', capabilities: { browserName: 'chrome' } }],
+            'POST /session/insp/elements': () => [200, [{ [ELEMENT_KEY]: 'terms' }]],
+            'POST /session/insp/execute/sync': (body) => {
+                const { script } = JSON.parse(body);
+                if (script.includes('function summarizeElements')) {
+                    return [200, [{ tag: 'input', text: '', attributes: { id: 'terms', type: 'checkbox' }, visible: true, rect }]];
+                }
+                return [200, true];
+            },
+            [`GET ${element}/attribute/type`]: () => [200, 'checkbox'],
+            [`GET ${element}/attribute/aria-describedby`]: () => [200, null],
+            [`GET ${element}/property/checked`]: () => [200, true],
+            [`GET ${element}/property/value`]: () => [200, 'on'],
+            [`GET ${element}/property/dataset`]: () => [200, { plan: 'pro' }],
+            [`GET ${element}/css/accent-color`]: () => [200, 'rgb(0, 128, 0)'],
+            [`GET ${element}/rect`]: () => [200, rect],
+            [`GET ${element}/name`]: () => [200, 'input'],
+            [`GET ${element}/text`]: () => [200, ''],
+            [`GET ${element}/enabled`]: () => [200, true],
+            [`GET ${element}/selected`]: () => [200, true],
+            'DELETE /session/insp': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should read attributes and say when one is not set', async () => {
+        assert.strictEqual(await callTool('get_element_attribute', { by: 'id', value: 'terms', name: 'type', timeout: 100 }), 'checkbox');
+        assert.strictEqual(await callTool('get_element_attribute', { by: 'id', value: 'terms', name: 'aria-describedby', timeout: 100 }), 'Attribute aria-describedby is not set');
+    });
+
+    it('should read properties as text or JSON', async () => {
+        assert.strictEqual(await callTool('get_element_property', { by: 'id', value: 'terms', name: 'value', timeout: 100 }), 'on');
+        assert.strictEqual(await callTool('get_element_property', { by: 'id', value: 'terms', name: 'checked', timeout: 100 }), 'true');
+        assert.strictEqual(await callTool('get_element_property', { by: 'id', value: 'terms', name: 'dataset', timeout: 100 }), '{"plan":"pro"}');
+    });
+
+    it('should read computed CSS values and the rect', async () => {
+        assert.strictEqual(await callTool('get_css_value', { by: 'id', value: 'terms', property: 'accent-color', timeout: 100 }), 'rgb(0, 128, 0)');
+        assert.deepStrictEqual(JSON.parse(await callTool('get_element_rect', { by: 'id', value: 'terms', timeout: 100 })), rect);
+    });
+
+    it('should combine everything in inspect_element', async () => {
+        const details = JSON.parse(await callTool('inspect_element', { by: 'id', value: 'terms', timeout: 100 }));
+        assert.deepStrictEqual(details, {
+            tag: 'input',
+            text: '',
+            value: 'on',
+            attributes: { id: 'terms', type: 'checkbox' },
+            displayed: true,
+            enabled: true,
+            selected: true,
+            rect
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { Key } from 'selenium-webdriver';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for press_key key names, combinations, repeats and element focus,
+ * checking the key actions sent to a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('press_key Tool', () => {
+    let server;
+    const performed = [];
+    const scripts = [];
+
+    const keyActions = () => performed.at(-1).actions.find(source => source.type === 'key').actions
+        .map(({ type, value }) => `${type === 'keyDown' ? 'down' : 'up'}:${value}`);
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'keys', capabilities: { browserName: 'chrome' } }],
+            'POST /session/keys/elements': () => [200, [{ [ELEMENT_KEY]: 'editor' }]],
+            'POST /session/keys/execute/sync': (body) => {
+                scripts.push(JSON.parse(body));
+                return [200, null];
+            },
+            'POST /session/keys/actions': (body) => {
+                performed.push(JSON.parse(body));
+                return [200, null];
+            },
+            'DELETE /session/keys/actions': () => [200, null],
+            'DELETE /session/keys': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should map key names to WebDriver keys', async () => {
+        for (const [name, key] of [['Enter', Key.ENTER], ['escape', Key.ESCAPE], ['ArrowDown', Key.ARROW_DOWN], ['F5', Key.F5], ['PageUp', Key.PAGE_UP]]) {
+            assert.strictEqual(await callTool('press_key', { key: name }), `Key '${name}' pressed`);
+            assert.deepStrictEqual(keyActions(), [`down:${key}`, `up:${key}`]);
+        }
+    });
+
+    it('should press single characters as they are', async () => {
+        await callTool('press_key', { key: 'K' });
+        assert.deepStrictEqual(keyActions(), ['down:K', 'up:K']);
+    });
+
+    it('should hold modifiers for a combination and release them in reverse', async () => {
+        await callTool('press_key', { key: 'Control+Shift+K' });
+        assert.deepStrictEqual(keyActions(), [
+            `down:${Key.CONTROL}`, `down:${Key.SHIFT}`, 'down:k',
+            'up:k', `up:${Key.SHIFT}`, `up:${Key.CONTROL}`
+        ]);
+    });
+
+    it('should repeat the key press', async () => {
+        const text = await callTool('press_key', { key: 'ArrowDown', repeat: 3 });
+        assert.strictEqual(text, "Key 'ArrowDown' pressed 3 times");
+        assert.strictEqual(keyActions().length, 6);
+    });
+
+    it('should focus the given element first', async () => {
+        await callTool('press_key', { key: 'Tab', by: 'id', value: 'editor', timeout: 100 });
+        assert.strictEqual(scripts.at(-1).script, 'arguments[0].focus();');
+        assert.strictEqual(scripts.at(-1).args[0][ELEMENT_KEY], 'editor');
+    });
+
+    it('should reject unknown key names', async () => {
+        const count = performed.length;
+        const text = await callTool('press_key', { key: 'Hyper' });
+        assert.ok(text.startsWith('Error pressing key: Unknown key: Hyper'), text);
+        assert.strictEqual(performed.length, count);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for the locator strategies accepted by element tools, checking the
+ * WebDriver find commands they produce against a stub endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Locator Strategies', () => {
+    let server;
+    const finds = [];
+    const scripts = [];
+
+    const findLocator = async (by, value) => {
+        const text = await callTool('find_element', { by, value, timeout: 100 });
+        assert.match(text, /^Element found \(element_ref: e\d+\)$/);
+        return finds.at(-1);
+    };
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'loc', capabilities: { browserName: 'chrome' } }],
+            'POST /session/loc/elements': (body) => {
+                finds.push(JSON.parse(body));
+                return [200, [{ [ELEMENT_KEY]: 'match' }]];
+            },
+            'POST /session/loc/execute/sync': (body) => {
+                scripts.push(JSON.parse(body));
+                return [200, [{ [ELEMENT_KEY]: 'match' }]];
+            },
+            'DELETE /session/loc': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should use a real tag name locator for tag', async () => {
+        assert.deepStrictEqual(await findLocator('tag', 'button'), { using: 'tag name', value: 'button' });
+    });
+
+    it('should map link text strategies onto WebDriver link text', async () => {
+        assert.deepStrictEqual(await findLocator('link_text', 'Sign in'), { using: 'link text', value: 'Sign in' });
+        assert.deepStrictEqual(await findLocator('partial_link_text', 'Sign'), { using: 'partial link text', value: 'Sign' });
+    });
+
+    it('should match visible text exactly or by substring', async () => {
+        const exact = await findLocator('text', '  Add to   cart ');
+        assert.strictEqual(exact.using, 'xpath');
+        assert.ok(exact.value.includes("normalize-space(.)='Add to cart'"));
+
+        const contains = await findLocator('text_contains', "Today's deals");
+        assert.ok(contains.value.includes(`contains(normalize-space(.), "Today's deals")`));
+    });
+
+    it('should find fields by placeholder and test id', async () => {
+        assert.deepStrictEqual(await findLocator('placeholder', 'Search products'), { using: 'css selector', value: '[placeholder="Search products"]' });
+        assert.deepStrictEqual(await findLocator('test_id', 'checkout-button'), { using: 'css selector', value: '[data-testid="checkout-button"]' });
+    });
+
+    it('should resolve label and role locators in the page', async () => {
+        await callTool('find_element', { by: 'label', value: 'Email  address', timeout: 100 });
+        assert.ok(scripts.at(-1).script.includes('function findByLabel'));
+        assert.deepStrictEqual(scripts.at(-1).args, [null, 'Email address']);
+
+        await callTool('find_element', { by: 'role', value: 'button: Save changes', timeout: 100 });
+        assert.ok(scripts.at(-1).script.includes('function findByRole'));
+        assert.deepStrictEqual(scripts.at(-1).args, [null, 'button', 'Save changes']);
+
+        await callTool('find_element', { by: 'role', value: 'navigation', timeout: 100 });
+        assert.deepStrictEqual(scripts.at(-1).args, [null, 'navigation', null]);
+    });
+
+    it('should accept the new strategies in the tool schemas', async () => {
+        const { handler } = await import('../src/lib/lambda.js');
+
+        const event = {
+            httpMethod: 'POST',
+            path: '/message',
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'tools/list',
+                params: {}
+            })
+        };
+
+        const result = await handler(event, {});
+        const body = JSON.parse(result.body);
+        const tool = body.result.tools.find(t => t.name === 'click_element');
+
+        assert.ok(JSON.stringify(tool.inputSchema.properties.by).includes('test_id'));
+    });
+});
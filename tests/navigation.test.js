@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for navigation history and page info tools against a stub WebDriver endpoint
+ */
+
+describe('Navigation Tools', () => {
+    let server;
+    const commands = [];
+
+    before(async () => {
+        const history = ['https://example.com/', 'https://example.com/cart'];
+        let position = 1;
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'nav', capabilities: { browserName: 'chrome' } }],
+            'POST /session/nav/back': () => {
+                commands.push('back');
+                position = Math.max(position - 1, 0);
+                return [200, null];
+            },
+            'POST /session/nav/forward': () => {
+                commands.push('forward');
+                position = Math.min(position + 1, history.length - 1);
+                return [200, null];
+            },
+            'POST /session/nav/refresh': () => {
+                commands.push('refresh');
+                return [200, null];
+            },
+            'GET /session/nav/url': () => [200, history[position]],
+            'GET /session/nav/title': () => [200, 'Cart'],
+            'POST /session/nav/execute/sync': () => [200, { readyState: 'complete', viewport: { width: 1280, height: 720 } }],
+            'DELETE /session/nav': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should go back and forward through history', async () => {
+        assert.strictEqual(await callTool('go_back', {}), 'Navigated back to https://example.com/');
+        assert.strictEqual(await callTool('go_forward', {}), 'Navigated forward to https://example.com/cart');
+        assert.strictEqual(await callTool('refresh', {}), 'Refreshed https://example.com/cart');
+        assert.deepStrictEqual(commands, ['back', 'forward', 'refresh']);
+    });
+
+    it('should report url, title, readyState and viewport in one call', async () => {
+        const info = JSON.parse(await callTool('get_page_info', {}));
+
+        assert.deepStrictEqual(info, {
+            url: 'https://example.com/cart',
+            title: 'Cart',
+            readyState: 'complete',
+            viewport: { width: 1280, height: 720 }
+        });
+    });
+
+    it('should return error without a browser session', async () => {
+        assert.strictEqual(
+            await callTool('get_page_info', { session_id: 'missing' }),
+            'Error getting page info: Browser session missing not found'
+        );
+    });
+});
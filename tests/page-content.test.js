@@ -0,0 +1,204 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { createStubServer, listen, callTool, executeInWindow } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for get_page_content against a stub WebDriver endpoint: formats, scoping
+ * to an element and pagination, and the conversion itself run against a jsdom page
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Page Content', () => {
+    let server;
+    let extracted;
+    let content;
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'pc', capabilities: { browserName: 'chrome' } }],
+            'GET /session/pc/source': () => [200, '<html><body><h1>Shop</h1></body></html>'],
+            'POST /session/pc/element': () => [200, { [ELEMENT_KEY]: 'main' }],
+            'POST /session/pc/elements': () => [200, [{ [ELEMENT_KEY]: 'main' }]],
+            'GET /session/pc/element/main/property/outerHTML': () => [200, '<main><h1>Shop</h1></main>'],
+            'POST /session/pc/execute/sync': (body) => {
+                extracted = JSON.parse(body);
+                return [200, content];
+            },
+            'DELETE /session/pc': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should return the whole page as Markdown by default', async () => {
+        content = '# Shop\n\n- [Cart](https://shop.test/cart)';
+        const text = await callTool('get_page_content', {});
+
+        assert.strictEqual(text, content);
+        assert.match(extracted.script, /extractPageContent/);
+        assert.deepStrictEqual(extracted.args, [null, 'markdown']);
+    });
+
+    it('should scope the content to an element', async () => {
+        content = 'Shop';
+        const text = await callTool('get_page_content', { format: 'text', by: 'css', value: 'main' });
+
+        assert.strictEqual(text, 'Shop');
+        assert.strictEqual(extracted.args[0][ELEMENT_KEY], 'main');
+        assert.strictEqual(extracted.args[1], 'text');
+    });
+
+    it('should scope the content to an element given only candidates', async () => {
+        content = 'Shop';
+        await callTool('get_page_content', { format: 'text', candidates: [{ by: 'css', value: 'main' }] });
+
+        assert.strictEqual(extracted.args[0][ELEMENT_KEY], 'main');
+    });
+
+    it('should return raw HTML from the page source or the element', async () => {
+        assert.strictEqual(await callTool('get_page_content', { format: 'html' }), '<html><body><h1>Shop</h1></body></html>');
+        assert.strictEqual(await callTool('get_page_content', { format: 'html', by: 'tag', value: 'main' }), '<main><h1>Shop</h1></main>');
+    });
+
+    it('should split long content into pages at line ends', async () => {
+        content = Array.from({ length: 30 }, (_, index) => `Line ${String(index).padStart(2, '0')}`).join('\n');
+
+        const first = await callTool('get_page_content', { format: 'text', maxLength: 100 });
+        assert.ok(first.startsWith(`Page 1 of 3 (characters 1-96 of ${content.length}); request page 2 for more\n\nLine 00\n`));
+        assert.ok(first.endsWith('Line 11\n'));
+
+        const last = await callTool('get_page_content', { format: 'text', maxLength: 100, page: 3 });
+        assert.ok(last.startsWith(`Page 3 of 3 (characters 193-${content.length} of ${content.length})\n\nLine 24\n`));
+        assert.ok(last.endsWith('Line 29'));
+    });
+
+    it('should keep every page within maxLength', async () => {
+        content = 'aaaa\nbbbb\ncccc';
+        const bodies = [];
+        for (let page = 1; ; page++) {
+            const text = await callTool('get_page_content', { format: 'text', maxLength: 5, page });
+            if (text.startsWith('Error')) {
+                break;
+            }
+            bodies.push(text.slice(text.indexOf('\n\n') + 2));
+        }
+
+        assert.deepStrictEqual(bodies, ['aaaa\n', 'bbbb\n', 'cccc']);
+
+        const first = await callTool('get_page_content', { format: 'text', maxLength: 4 });
+        assert.ok(first.startsWith('Page 1 of 4 (characters 1-4 of 14)'));
+    });
+
+    it('should report a page out of range and empty content', async () => {
+        content = 'Short';
+        assert.strictEqual(
+            await callTool('get_page_content', { format: 'text', page: 2 }),
+            'Error getting page content: Page 2 is out of range; the content has 1 page'
+        );
+
+        content = '';
+        assert.strictEqual(await callTool('get_page_content', {}), 'No content found');
+    });
+});
+
+describe('Page Content Conversion', () => {
+    let server;
+    let window;
+
+    const fixture = `<!DOCTYPE html>
+<html><head><title>Shop</title><style>h1 { color: red; }</style><script>window.tracking = true;</script></head>
+<body>
+    <nav hidden>Skip to content</nav>
+    <main id="main">
+        <h1>Your   cart</h1>
+        <p>Review the items or <a href="/shop">keep <b>shopping</b></a>.</p>
+        <h2>Items</h2>
+        <ul>
+            <li>Pens
+                <ul><li>Blue</li><li>Red</li></ul>
+            </li>
+            <li>Paper</li>
+        </ul>
+        <table>
+            <thead><tr><th>Item</th><th>Price</th></tr></thead>
+            <tbody><tr><td>Pens | 2 pack</td><td>$3</td></tr><tr><td>Paper</td><td>$5</td></tr></tbody>
+        </table>
+        <button onclick="checkout()" style="color: green" class="primary">Check out</button>
+        <!-- promo slot -->
+    </main>
+    <script>document.title = 'changed';</script>
+</body></html>`;
+
+    before(async () => {
+        ({ window } = new JSDOM(fixture, { url: 'https://shop.test/cart', runScripts: 'outside-only', pretendToBeVisual: true }));
+        const main = window.document.getElementById('main');
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'conv', capabilities: { browserName: 'chrome' } }],
+            'POST /session/conv/elements': () => [200, [{ [ELEMENT_KEY]: 'main' }]],
+            'POST /session/conv/execute/sync': (body) => executeInWindow(window, body, { main }),
+            'DELETE /session/conv': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should convert headings, links, nested lists and tables to Markdown', async () => {
+        const text = await callTool('get_page_content', {});
+
+        assert.strictEqual(text, [
+            '# Your cart',
+            '',
+            'Review the items or [keep **shopping**](https://shop.test/shop).',
+            '',
+            '## Items',
+            '',
+            '- Pens',
+            '  - Blue',
+            '  - Red',
+            '- Paper',
+            '',
+            '| Item | Price |',
+            '| --- | --- |',
+            '| Pens \\| 2 pack | $3 |',
+            '| Paper | $5 |',
+            '',
+            'Check out'
+        ].join('\n'));
+    });
+
+    it('should leave hidden elements, scripts and styles out of Markdown', async () => {
+        const text = await callTool('get_page_content', {});
+
+        assert.ok(!text.includes('Skip to content'));
+        assert.ok(!text.includes('tracking'));
+        assert.ok(!text.includes('color'));
+    });
+
+    it('should strip scripts, styles, comments and event handlers from clean HTML', async () => {
+        const text = await callTool('get_page_content', { format: 'clean_html' });
+
+        assert.ok(text.startsWith('<html><head><title>Shop</title></head>'));
+        assert.ok(text.includes('<h1>Your   cart</h1>'));
+        assert.ok(text.includes('<button class="primary">Check out</button>'));
+        assert.doesNotMatch(text, /<script|<style|onclick|style=|promo slot/);
+    });
+
+    it('should convert only the scoped element', async () => {
+        const text = await callTool('get_page_content', { format: 'clean_html', by: 'css', value: 'main' });
+
+        assert.ok(text.startsWith('<main id="main">'));
+        assert.ok(text.endsWith('</main>'));
+    });
+});
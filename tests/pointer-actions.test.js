@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { Key } from 'selenium-webdriver';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for perform_actions, click_at and offset drag_and_drop, checking the
+ * action sequences sent to a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Pointer Actions', () => {
+    let server;
+    const performed = [];
+
+    // Actions for one input source of the last performed sequence, without the padding pauses
+    const sourceActions = (type) => {
+        const source = performed.at(-1).actions.find(s => s.type === type);
+        return source.actions.filter(action => action.type !== 'pause' || action.duration);
+    };
+    const pick = (action, ...keys) => Object.fromEntries(keys.map(key => [key, action[key]]));
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'ptr', capabilities: { browserName: 'chrome' } }],
+            'POST /session/ptr/elements': () => [200, [{ [ELEMENT_KEY]: 'canvas' }]],
+            'POST /session/ptr/actions': (body) => {
+                performed.push(JSON.parse(body));
+                return [200, null];
+            },
+            'DELETE /session/ptr': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should draw a stroke relative to an element', async () => {
+        const text = await callTool('perform_actions', {
+            actions: [
+                { type: 'move', by: 'id', value: 'signature', x: -50, y: 0 },
+                { type: 'down' },
+                { type: 'move', origin: 'pointer', x: 40.4, y: 10, duration: 200 },
+                { type: 'pause', duration: 50 },
+                { type: 'up' }
+            ],
+            timeout: 100
+        });
+        assert.strictEqual(text, 'Performed 5 actions');
+
+        const mouse = sourceActions('pointer');
+        assert.deepStrictEqual(performed.at(-1).actions.find(s => s.type === 'pointer').parameters, { pointerType: 'mouse' });
+        assert.strictEqual(mouse[0].origin[ELEMENT_KEY], 'canvas');
+        assert.deepStrictEqual(pick(mouse[0], 'type', 'x', 'y'), { type: 'pointerMove', x: -50, y: 0 });
+        assert.deepStrictEqual(pick(mouse[1], 'type', 'button'), { type: 'pointerDown', button: 0 });
+        assert.deepStrictEqual(pick(mouse[2], 'origin', 'x', 'duration'), { origin: 'pointer', x: 40, duration: 200 });
+        assert.deepStrictEqual(mouse[3], { type: 'pause', duration: 50 });
+        assert.deepStrictEqual(pick(mouse[4], 'type', 'button'), { type: 'pointerUp', button: 0 });
+    });
+
+    it('should use a touch pointer, the wheel and keys', async () => {
+        await callTool('perform_actions', {
+            pointerType: 'touch',
+            actions: [
+                { type: 'key_down', key: 'Shift' },
+                { type: 'move', x: 100, y: 200 },
+                { type: 'down' },
+                { type: 'up' },
+                { type: 'key_up', key: 'shift' },
+                { type: 'scroll', x: 10, y: 20, deltaY: 300 }
+            ]
+        });
+
+        const touch = performed.at(-1).actions.find(s => s.parameters?.pointerType === 'touch');
+        assert.ok(touch);
+        assert.deepStrictEqual(sourceActions('key').map(a => a.value), [Key.SHIFT, Key.SHIFT]);
+        assert.deepStrictEqual(pick(sourceActions('wheel')[0], 'type', 'x', 'y', 'deltaX', 'deltaY', 'origin'),
+            { type: 'scroll', x: 10, y: 20, deltaX: 0, deltaY: 300, origin: 'viewport' });
+    });
+
+    it('should name the failing step', async () => {
+        const text = await callTool('perform_actions', { actions: [{ type: 'down' }, { type: 'key_down', key: 'Hyper' }] });
+        assert.strictEqual(text, 'Error performing actions: Step 2: unknown key Hyper');
+    });
+
+    it('should click at coordinates with any button and count', async () => {
+        assert.strictEqual(await callTool('click_at', { x: 120, y: 80 }), 'Clicked at (120, 80)');
+        const clicks = sourceActions('pointer');
+        assert.deepStrictEqual(pick(clicks[0], 'x', 'y', 'origin'), { x: 120, y: 80, origin: 'viewport' });
+        assert.strictEqual(clicks.length, 3);
+
+        const text = await callTool('click_at', { x: 5, y: -5, button: 'right', clickCount: 2, by: 'id', value: 'map', timeout: 100 });
+        assert.strictEqual(text, 'Clicked at (5, -5) from the element center');
+        const rightClicks = sourceActions('pointer');
+        assert.strictEqual(rightClicks[0].origin[ELEMENT_KEY], 'canvas');
+        assert.deepStrictEqual(rightClicks.slice(1).map(a => `${a.type}:${a.button}`), ['pointerDown:2', 'pointerUp:2', 'pointerDown:2', 'pointerUp:2']);
+    });
+
+    it('should drag an element by a pixel offset', async () => {
+        const text = await callTool('drag_and_drop', { by: 'css', value: '.slider-handle', offset: { x: 80, y: 0 }, timeout: 100 });
+        assert.strictEqual(text, 'Drag and drop completed');
+        const drag = sourceActions('pointer');
+        assert.deepStrictEqual(drag.map(a => a.type), ['pointerMove', 'pointerDown', 'pointerMove', 'pointerUp']);
+        assert.deepStrictEqual(pick(drag[2], 'x', 'y', 'origin'), { x: 80, y: 0, origin: 'pointer' });
+    });
+});
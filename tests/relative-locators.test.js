@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for relative (spatial) locators, checking the relative find request
+ * Selenium sends for a base locator and its anchors
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Relative Locators', () => {
+    let server;
+    const relativeFinds = [];
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'rel', capabilities: { browserName: 'chrome' } }],
+            'POST /session/rel/elements': (body) => {
+                const { value } = JSON.parse(body);
+                if (value.includes('Missing')) {
+                    return [200, []];
+                }
+                return [200, [{ [ELEMENT_KEY]: value === '#avatar' ? 'avatar' : 'email-label' }]];
+            },
+            'POST /session/rel/execute/sync': (body) => {
+                relativeFinds.push(JSON.parse(body).args[0].relative);
+                return [200, [{ [ELEMENT_KEY]: 'email-input' }]];
+            },
+            'GET /session/rel/element/avatar/name': () => [200, 'img'],
+            'GET /session/rel/element/email-input/text': () => [200, 'you@example.com'],
+            'DELETE /session/rel': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should find an element to the right of an anchor', async () => {
+        const text = await callTool('find_element', {
+            by: 'tag',
+            value: 'input',
+            relative: [{ direction: 'right_of', by: 'text', value: 'Email' }],
+            timeout: 100
+        });
+        assert.match(text, /^Element found/);
+
+        const { root, filters } = relativeFinds.at(-1);
+        assert.deepStrictEqual(root, { 'tag name': 'input' });
+        assert.strictEqual(filters.length, 1);
+        assert.strictEqual(filters[0].kind, 'right');
+        assert.strictEqual(filters[0].args[0][ELEMENT_KEY], 'email-label');
+    });
+
+    it('should combine several constraints in any element tool', async () => {
+        await callTool('find_element', { by: 'css', value: '#avatar', timeout: 100 });
+        const text = await callTool('get_element_text', {
+            by: 'css',
+            value: 'input',
+            relative: [
+                { direction: 'below', by: 'text', value: 'Email' },
+                { direction: 'near', element_ref: 'e2' }
+            ],
+            timeout: 100
+        });
+        assert.strictEqual(text, 'you@example.com');
+
+        const { filters } = relativeFinds.at(-1);
+        assert.deepStrictEqual(filters.map(f => f.kind), ['below', 'near']);
+        assert.strictEqual(filters[1].args[0][ELEMENT_KEY], 'avatar');
+    });
+
+    it('should keep waiting while an anchor is missing', async () => {
+        const before = relativeFinds.length;
+        const text = await callTool('find_element', {
+            by: 'tag',
+            value: 'input',
+            relative: [{ direction: 'above', by: 'text', value: 'Missing' }],
+            timeout: 100
+        });
+        assert.ok(text.startsWith('Error finding element'), text);
+        assert.strictEqual(relativeFinds.length, before);
+    });
+
+    it('should reject bases WebDriver cannot search natively', async () => {
+        const text = await callTool('find_element', {
+            by: 'label',
+            value: 'Email',
+            relative: [{ direction: 'below', by: 'text', value: 'Sign in' }],
+            timeout: 100
+        });
+        assert.ok(text.includes('Relative locators need a base strategy WebDriver can search natively'), text);
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for remote WebDriver / Selenium Grid and attached sessions
+ *
+ * A stub WebDriver HTTP endpoint stands in for the Grid so no browser is needed.
+ */
+
+describe('Remote WebDriver', () => {
+    let server;
+    let remoteUrl;
+    const requests = [];
+    const deleted = [];
+    let newSessionResponse;
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': (body) => {
+                requests.push(JSON.parse(body));
+                return newSessionResponse;
+            },
+            'DELETE /session/stub-session': () => [200, null],
+            'GET /session/running-session/url': () => [200, 'https://example.com/account'],
+            'DELETE /session/running-session': () => {
+                deleted.push('running-session');
+                return [200, null];
+            },
+            'GET /session/missing-session/url': () => [404, { error: 'invalid session id', message: 'Session not found' }]
+        });
+        remoteUrl = await listen(server);
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('should start a session on the remote server', async () => {
+        newSessionResponse = [200, { sessionId: 'stub-session', capabilities: { browserName: 'chrome' } }];
+
+        const text = await callTool('start_browser', {
+            browser: 'chrome',
+            options: { remoteUrl },
+            session_id: 'grid'
+        });
+
+        assert.strictEqual(text, `Browser started with session_id: grid on ${remoteUrl}`);
+        assert.strictEqual(requests.at(-1).capabilities.alwaysMatch.browserName, 'chrome');
+
+        const sessions = await callTool('list_sessions', {});
+        assert.ok(sessions.includes(`grid: chrome on ${remoteUrl}`));
+
+        const closed = await callTool('close_session', { session_id: 'grid' });
+        assert.strictEqual(closed, 'Browser session grid closed');
+    });
+
+    it('should fall back to SELENIUM_REMOTE_URL', async () => {
+        newSessionResponse = [200, { sessionId: 'stub-session', capabilities: { browserName: 'firefox' } }];
+        process.env.SELENIUM_REMOTE_URL = remoteUrl;
+
+        try {
+            const text = await callTool('start_browser', { browser: 'firefox', session_id: 'env' });
+            assert.strictEqual(text, `Browser started with session_id: env on ${remoteUrl}`);
+        } finally {
+            delete process.env.SELENIUM_REMOTE_URL;
+            await callTool('close_session', { session_id: 'env' });
+        }
+    });
+
+    it('should map structured browser options onto Chrome capabilities', async () => {
+        newSessionResponse = [200, { sessionId: 'stub-session', capabilities: { browserName: 'chrome' } }];
+
+        await callTool('start_browser', {
+            browser: 'chrome',
+            options: {
+                remoteUrl,
+                headless: true,
+                windowSize: { width: 1280, height: 720 },
+                userAgent: 'mcp-agent',
+                proxy: { http: 'proxy:8080', bypass: ['localhost'] },
+                acceptInsecureCerts: true,
+                pageLoadStrategy: 'eager',
+                prefs: { 'download.default_directory': '/tmp' },
+                excludeSwitches: ['enable-automation'],
+                capabilities: { 'se:name': 'checkout' }
+            },
+            session_id: 'chrome-options'
+        });
+        await callTool('close_session', { session_id: 'chrome-options' });
+
+        const caps = requests.at(-1).capabilities.alwaysMatch;
+        const chromeOptions = caps['goog:chromeOptions'];
+        assert.deepStrictEqual(chromeOptions.args, ['--headless=new', 'window-size=1280,720', '--user-agent=mcp-agent']);
+        assert.deepStrictEqual(chromeOptions.prefs, { 'download.default_directory': '/tmp' });
+        assert.deepStrictEqual(chromeOptions.excludeSwitches, ['enable-automation']);
+        assert.strictEqual(caps.acceptInsecureCerts, true);
+        assert.strictEqual(caps.pageLoadStrategy, 'eager');
+        assert.strictEqual(caps.proxy.httpProxy, 'proxy:8080');
+        assert.strictEqual(caps.proxy.noProxy, 'localhost');
+        assert.strictEqual(caps['se:name'], 'checkout');
+    });
+
+    it('should map prefs and user agent onto Firefox preferences', async () => {
+        newSessionResponse = [200, { sessionId: 'stub-session', capabilities: { browserName: 'firefox' } }];
+
+        await callTool('start_browser', {
+            browser: 'firefox',
+            options: {
+                remoteUrl,
+                userAgent: 'mcp-agent',
+                prefs: { 'dom.webnotifications.enabled': false }
+            },
+            session_id: 'firefox-options'
+        });
+        await callTool('close_session', { session_id: 'firefox-options' });
+
+        const firefoxOptions = requests.at(-1).capabilities.alwaysMatch['moz:firefoxOptions'];
+        assert.strictEqual(firefoxOptions.prefs['general.useragent.override'], 'mcp-agent');
+        assert.strictEqual(firefoxOptions.prefs['dom.webnotifications.enabled'], false);
+    });
+
+    it('should reject excludeSwitches for Firefox', async () => {
+        const text = await callTool('start_browser', {
+            browser: 'firefox',
+            options: { remoteUrl, excludeSwitches: ['enable-automation'] }
+        });
+
+        assert.ok(text.includes('excludeSwitches is only supported for chrome and edge'));
+    });
+
+    it('should attach to a running session and detach without quitting it', async () => {
+        const attached = await callTool('attach_session', {
+            serverUrl: remoteUrl,
+            webdriverSessionId: 'running-session',
+            session_id: 'human'
+        });
+        assert.strictEqual(attached, `Attached to session running-session on ${remoteUrl} as session_id: human`);
+
+        const closed = await callTool('close_session', { session_id: 'human' });
+        assert.strictEqual(closed, 'Browser session human detached; the browser is still running');
+        assert.ok(!deleted.includes('running-session'));
+    });
+
+    it('should quit an attached session when detach is false', async () => {
+        await callTool('attach_session', { serverUrl: remoteUrl, webdriverSessionId: 'running-session' });
+
+        const closed = await callTool('close_session', { session_id: 'running-session', detach: false });
+        assert.strictEqual(closed, 'Browser session running-session closed');
+        assert.ok(deleted.includes('running-session'));
+    });
+
+    it('should report an unknown session when attaching', async () => {
+        const text = await callTool('attach_session', { serverUrl: remoteUrl, webdriverSessionId: 'missing-session' });
+
+        assert.strictEqual(text, `Error attaching to session: WebDriver session missing-session not found on ${remoteUrl}`);
+    });
+
+    it('should report a grid with no free slot', async () => {
+        newSessionResponse = [500, {
+            error: 'session not created',
+            message: 'Could not start a new session. New session request timed out'
+        }];
+
+        const text = await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+
+        assert.ok(text.startsWith(`Error starting browser: Selenium Grid at ${remoteUrl} has no free slot`));
+    });
+
+    it('should report unsupported capabilities', async () => {
+        newSessionResponse = [500, {
+            error: 'session not created',
+            message: 'Could not start a new session. Unable to find provider for session: Capabilities {browserName: edge}'
+        }];
+
+        const text = await callTool('start_browser', { browser: 'edge', options: { remoteUrl } });
+
+        assert.ok(text.startsWith(`Error starting browser: Selenium Grid at ${remoteUrl} has no node supporting the requested capabilities`));
+    });
+
+    it('should report an unreachable server', async () => {
+        const text = await callTool('start_browser', {
+            browser: 'chrome',
+            options: { remoteUrl: 'http://127.0.0.1:1' }
+        });
+
+        assert.ok(text.startsWith('Error starting browser: Could not reach WebDriver server at http://127.0.0.1:1'));
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for SELENIUM_ALLOW_SCRIPTS=false, which refuses every tool that runs caller-supplied JavaScript
+ *
+ * The switch is read from the environment when the server module loads,
+ * so it is set before the first tool call imports it.
+ */
+
+process.env.SELENIUM_ALLOW_SCRIPTS = 'false';
+
+describe('Script Switch', () => {
+    let server;
+    let scriptsRun = 0;
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'locked', capabilities: { browserName: 'chrome' } }],
+            'POST /session/locked/execute/sync': () => {
+                scriptsRun++;
+                return [200, true];
+            },
+            'DELETE /session/locked': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should refuse execute_script and execute_async_script', async () => {
+        assert.strictEqual(
+            await callTool('execute_script', { script: 'return 1;' }),
+            'Error executing script: Script execution is disabled on this server (SELENIUM_ALLOW_SCRIPTS=false)'
+        );
+        assert.strictEqual(
+            await callTool('execute_async_script', { script: 'arguments[0](1);' }),
+            'Error executing script: Script execution is disabled on this server (SELENIUM_ALLOW_SCRIPTS=false)'
+        );
+        assert.strictEqual(scriptsRun, 0);
+    });
+
+    it('should refuse the js_truthy wait condition', async () => {
+        const text = await callTool('wait_for', { condition: 'js_truthy', script: 'true', timeout: 100 });
+
+        assert.strictEqual(text, 'Error waiting for condition: Script execution is disabled on this server (SELENIUM_ALLOW_SCRIPTS=false)');
+        assert.strictEqual(scriptsRun, 0);
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { createStubServer, listen, callTool, executeInWindow } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for execute_script and execute_async_script against a stub WebDriver endpoint:
+ * element arguments, result formatting and the script timeout, plus the cleanup of
+ * results run against a jsdom page
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Script Tools', () => {
+    let server;
+    let executed;
+    let result;
+    let failAsync = false;
+    const timeouts = [];
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'js', capabilities: { browserName: 'chrome' } }],
+            'POST /session/js/elements': () => [200, [{ [ELEMENT_KEY]: 'row-1' }]],
+            'POST /session/js/execute/sync': (body) => {
+                const request = JSON.parse(body);
+                if (request.script.includes('summarizeElements')) {
+                    return [200, request.args[0].map(element => ({ tag: 'tr', text: `row ${element[ELEMENT_KEY]}`, attributes: {}, visible: true }))];
+                }
+                executed = request;
+                return [200, result];
+            },
+            'GET /session/js/element/row-2/name': () => [200, 'tr'],
+            'POST /session/js/execute/async': (body) => {
+                executed = JSON.parse(body);
+                if (failAsync) {
+                    return [500, { error: 'script timeout', message: 'script did not call back within 500ms' }];
+                }
+                return [200, result];
+            },
+            'GET /session/js/timeouts': () => [200, { implicit: 0, pageLoad: 300000, script: 12000 }],
+            'POST /session/js/timeouts': (body) => {
+                timeouts.push(JSON.parse(body));
+                return [200, null];
+            },
+            'DELETE /session/js': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should return the result as JSON', async () => {
+        result = { title: 'Checkout', items: [1, 2], missing: null };
+        const text = await callTool('execute_script', { script: 'return { title: document.title };' });
+
+        assert.deepStrictEqual(JSON.parse(text), result);
+        assert.ok(executed.script.includes('return { title: document.title };'));
+        assert.match(executed.script, /sanitizeScriptResult/);
+        assert.deepStrictEqual(executed.args, []);
+    });
+
+    it('should pass plain and element arguments', async () => {
+        result = 'ok';
+        const text = await callTool('execute_script', {
+            script: 'arguments[0].textContent = arguments[1];',
+            args: [{ element: { by: 'css', value: 'tr' } }, 'hello', { element: 'not a locator' }]
+        });
+
+        assert.strictEqual(text, '"ok"');
+        assert.strictEqual(executed.args[0][ELEMENT_KEY], 'row-1');
+        assert.deepStrictEqual(executed.args.slice(1), ['hello', { element: 'not a locator' }]);
+    });
+
+    it('should summarize returned elements with an element_ref', async () => {
+        result = { first: { [ELEMENT_KEY]: 'row-1' }, rows: [{ [ELEMENT_KEY]: 'row-1' }, { [ELEMENT_KEY]: 'row-2' }] };
+        const parsed = JSON.parse(await callTool('execute_script', { script: 'return document.querySelectorAll("tr");' }));
+
+        assert.match(parsed.first.element_ref, /^e\d+$/);
+        assert.strictEqual(parsed.first.tag, 'tr');
+        assert.strictEqual(parsed.rows[0].element_ref, parsed.first.element_ref);
+        assert.notStrictEqual(parsed.rows[1].element_ref, parsed.first.element_ref);
+        assert.strictEqual(parsed.rows[1].text, 'row row-2');
+
+        await callTool('execute_script', { script: 'return arguments[0].id;', args: [{ element: { element_ref: parsed.rows[1].element_ref } }] });
+        assert.strictEqual(executed.args[0][ELEMENT_KEY], 'row-2');
+    });
+
+    it('should cap the size of the result', async () => {
+        result = 'x'.repeat(30000);
+        const text = await callTool('execute_script', { script: 'return "x".repeat(30000);' });
+
+        assert.ok(text.length < 20100);
+        assert.match(text, /\.\.\. \(truncated, 30002 characters in total\)$/);
+    });
+
+    it('should run async scripts with a script timeout', async () => {
+        result = [3, 4];
+        const text = await callTool('execute_async_script', {
+            script: 'const done = arguments[arguments.length - 1]; setTimeout(() => done([3, 4]), 10);',
+            scriptTimeout: 5000
+        });
+
+        assert.deepStrictEqual(JSON.parse(text), [3, 4]);
+        assert.deepStrictEqual(timeouts.slice(-2), [{ script: 5000 }, { script: 12000 }]);
+        assert.match(executed.script, /arguments\[arguments\.length - 1\]/);
+    });
+
+    it('should restore the script timeout when an async script fails', async () => {
+        result = undefined;
+        failAsync = true;
+        try {
+            const text = await callTool('execute_async_script', { script: 'arguments[0]();', scriptTimeout: 500 });
+
+            assert.match(text, /^Error executing script: /);
+            assert.deepStrictEqual(timeouts.slice(-2), [{ script: 500 }, { script: 12000 }]);
+        } finally {
+            failAsync = false;
+        }
+    });
+
+    it('should report an element argument that cannot be found', async () => {
+        const text = await callTool('execute_script', { script: 'return 1;', args: [1, { element: { element_ref: 'e99' } }] });
+
+        assert.strictEqual(text, 'Error executing script: Argument 1: Unknown element_ref e99; use find_element or find_elements to get one');
+    });
+});
+
+describe('Script Result Cleanup', () => {
+    let server;
+
+    before(async () => {
+        const { window } = new JSDOM('<button>Pay</button>', { runScripts: 'outside-only' });
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'clean', capabilities: { browserName: 'chrome' } }],
+            'POST /session/clean/execute/sync': (body) => executeInWindow(window, body),
+            'DELETE /session/clean': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should break cycles and cap depth and items', async () => {
+        const parsed = JSON.parse(await callTool('execute_script', {
+            script: `
+                const cart = { name: 'cart', items: Array.from({ length: 250 }, (_, index) => index), total: undefined, format() {} };
+                cart.self = cart;
+                let level = cart;
+                for (let index = 0; index < 12; index++) {
+                    level.next = {};
+                    level = level.next;
+                }
+                return cart;
+            `
+        }));
+
+        assert.strictEqual(parsed.name, 'cart');
+        assert.strictEqual(parsed.self, '[Circular]');
+        assert.strictEqual(parsed.total, null);
+        assert.strictEqual(parsed.format, '[Function format]');
+        assert.strictEqual(parsed.items.length, 201);
+        assert.strictEqual(parsed.items.at(-1), '[50 more items]');
+
+        let level = parsed;
+        let depth = 0;
+        while (typeof level.next === 'object') {
+            level = level.next;
+            depth++;
+        }
+        assert.strictEqual(depth, 9);
+        assert.strictEqual(level.next, '[Object]');
+    });
+
+    it('should wait for a returned Promise and clean its value', async () => {
+        const parsed = JSON.parse(await callTool('execute_script', {
+            script: 'return new Promise(resolve => setTimeout(() => resolve({ total: 42, view: window, tag: document.querySelector("button").firstChild }), 10));'
+        }));
+
+        assert.deepStrictEqual(parsed, { total: 42, view: '[Window]', tag: '[#text]' });
+        assert.strictEqual(await callTool('execute_script', { script: 'return Promise.resolve(42);' }), '42');
+    });
+});
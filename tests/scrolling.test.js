@@ -0,0 +1,101 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for the scrolling tools, against a stub WebDriver endpoint with a
+ * feed that loads five more items per scroll until it runs out
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Scrolling Tools', () => {
+    let server;
+    let scripts;
+    let loaded;
+    const total = 15;
+
+    beforeEach(() => {
+        scripts = [];
+        loaded = 5;
+    });
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'scroll', capabilities: { browserName: 'chrome' } }],
+            'POST /session/scroll/elements': (body) => {
+                const { value } = JSON.parse(body);
+                if (value === '.feed-item') {
+                    return [200, Array.from({ length: loaded }, (_, i) => ({ [ELEMENT_KEY]: `item-${i}` }))];
+                }
+                if (value === '#load-more-done') {
+                    return [200, loaded === total ? [{ [ELEMENT_KEY]: 'done' }] : []];
+                }
+                return [200, [{ [ELEMENT_KEY]: 'target' }]];
+            },
+            'POST /session/scroll/execute/sync': (body) => {
+                const { script, args } = JSON.parse(body);
+                scripts.push({ script, args });
+                if (script.includes('function scrollToEnd')) {
+                    const height = loaded * 100;
+                    loaded = Math.min(total, loaded + 5);
+                    return [200, height];
+                }
+                if (script.includes('scrollBy')) {
+                    return [200, { x: args[1], y: args[2] + 100 }];
+                }
+                return [200, null];
+            },
+            'DELETE /session/scroll': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should center an element in the viewport', async () => {
+        const text = await callTool('scroll_to_element', { by: 'id', value: 'buy', timeout: 100 });
+        assert.strictEqual(text, 'Scrolled element into view');
+        assert.ok(scripts[0].script.includes('scrollIntoView'));
+        assert.strictEqual(scripts[0].args[0][ELEMENT_KEY], 'target');
+        assert.strictEqual(scripts[0].args[1], 'center');
+    });
+
+    it('should scroll the window or a container by an offset', async () => {
+        const text = await callTool('scroll_by', { y: 400 });
+        assert.strictEqual(text, 'Scrolled window by (0, 400); scroll position is now (0, 500)');
+        assert.deepStrictEqual(scripts[0].args, [null, 0, 400]);
+
+        const inside = await callTool('scroll_by', { x: -50, by: 'css', value: '.table-wrapper', timeout: 100 });
+        assert.ok(inside.startsWith('Scrolled container by (-50, 0)'));
+        assert.strictEqual(scripts[1].args[0][ELEMENT_KEY], 'target');
+    });
+
+    it('should scroll until an element appears', async () => {
+        const text = await callTool('scroll_until', { by: 'css', value: '#load-more-done', pause: 0 });
+        assert.strictEqual(text, 'Element appeared after 2 scrolls');
+    });
+
+    it('should scroll until enough items are loaded', async () => {
+        const text = await callTool('scroll_until', { by: 'css', value: '.feed-item', count: 8, pause: 0 });
+        assert.strictEqual(text, 'Found 10 matching elements after 1 scroll');
+    });
+
+    it('should stop when the page stops growing', async () => {
+        const text = await callTool('scroll_until', { pause: 0 });
+        assert.strictEqual(text, 'Page stopped growing after 3 scrolls');
+
+        loaded = 5;
+        const short = await callTool('scroll_until', { by: 'css', value: '.feed-item', count: 50, pause: 0 });
+        assert.strictEqual(short, 'Error scrolling: page stopped growing after 3 scrolls with 15 of 50 matching elements');
+    });
+
+    it('should give up after maxScrolls', async () => {
+        const text = await callTool('scroll_until', { by: 'css', value: '.feed-item', count: 50, pause: 0, maxScrolls: 1 });
+        assert.strictEqual(text, 'Error scrolling: gave up after 1 scroll with 10 of 50 matching elements');
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool, callToolTexts } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for candidate locators and healing, against a stub WebDriver endpoint
+ * whose page can lose the selectors a test used before
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Candidate Locators and Healing', () => {
+    let server;
+    const present = new Map([['.btn-primary', 'buy'], ['#checkout', 'checkout']]);
+    const scripts = [];
+    let similar = { element: { [ELEMENT_KEY]: 'buy-renamed' }, similarity: 0.8 };
+
+    const fingerprint = { tag: 'button', text: 'Buy now', attributes: { class: 'btn-primary' }, x: 50, y: 20 };
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'heal', capabilities: { browserName: 'chrome' } }],
+            'POST /session/heal/elements': (body) => {
+                const id = present.get(JSON.parse(body).value);
+                return [200, id ? [{ [ELEMENT_KEY]: id }] : []];
+            },
+            'POST /session/heal/execute/sync': (body) => {
+                const { script, args } = JSON.parse(body);
+                scripts.push({ script, args });
+                if (script.includes('function fingerprintElement')) {
+                    return [200, fingerprint];
+                }
+                if (script.includes('function findSimilarElement')) {
+                    return [200, similar];
+                }
+                return [200, [{ by: 'id', value: 'buy-now' }, { by: 'css', value: 'button.btn-buy' }]];
+            },
+            'GET /session/heal/element/buy/text': () => [200, 'Buy now'],
+            'GET /session/heal/element/buy-renamed/text': () => [200, 'Buy now'],
+            'DELETE /session/heal': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should try candidates in order and say which one matched', async () => {
+        const texts = await callToolTexts('get_element_text', {
+            by: 'css',
+            value: '.btn-old',
+            candidates: [{ by: 'css', value: '.btn-primary' }, { by: 'css', value: '#checkout' }],
+            timeout: 100
+        });
+        assert.deepStrictEqual(texts, ['Buy now', 'Note: matched candidate 2 of 3 (css=.btn-primary)']);
+    });
+
+    it('should accept candidates without by and value', async () => {
+        const texts = await callToolTexts('find_element', {
+            candidates: [{ by: 'css', value: '#missing' }, { by: 'css', value: '#checkout' }],
+            timeout: 100
+        });
+        assert.strictEqual(texts[1], 'Note: matched candidate 2 of 2 (css=#checkout)');
+    });
+
+    it('should remember a fingerprint of the matched element', async () => {
+        await callTool('find_element', { by: 'css', value: '.btn-primary', heal: true, timeout: 100 });
+        const { args } = scripts.findLast(s => s.script.includes('function fingerprintElement'));
+        assert.strictEqual(args[0][ELEMENT_KEY], 'buy');
+        assert.strictEqual(args[1], 'data-testid');
+    });
+
+    it('should heal to the most similar element and suggest a replacement', async () => {
+        present.delete('.btn-primary');
+        const texts = await callToolTexts('get_element_text', { by: 'css', value: '.btn-primary', heal: true, timeout: 100 });
+
+        assert.strictEqual(texts[0], 'Buy now');
+        assert.strictEqual(texts[1], 'Note: no candidate matched, so the element most similar to the last match was used (similarity 0.80). Suggested replacement locator: id=buy-now');
+        const { args } = scripts.findLast(s => s.script.includes('function findSimilarElement'));
+        assert.deepStrictEqual(args, [fingerprint]);
+    });
+
+    it('should fail when nothing is similar enough', async () => {
+        similar = null;
+        const text = await callTool('find_element', { by: 'css', value: '.btn-primary', heal: true, timeout: 100 });
+        assert.ok(text.includes('no element similar enough to the last match was found'), text);
+    });
+
+    it('should only heal locators it has seen match before', async () => {
+        const text = await callTool('find_element', { by: 'css', value: '.never-matched', heal: true, timeout: 100 });
+        assert.ok(text.startsWith('Error finding element'), text);
+        assert.ok(!text.includes('similar'));
+    });
+});
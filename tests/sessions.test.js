@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for session limits and the idle session reaper
+ *
+ * The limits are read from the environment when the server module loads,
+ * so they are set before the first tool call imports it.
+ */
+
+process.env.SELENIUM_MAX_SESSIONS = '2';
+process.env.SELENIUM_IDLE_TIMEOUT = '0.5';
+
+describe('Session Limits', () => {
+    let server;
+    let remoteUrl;
+    let quitCount = 0;
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'stub-session', capabilities: { browserName: 'chrome' } }],
+            'POST /session/stub-session/execute/sync': () => [200, false],
+            'DELETE /session/stub-session': () => {
+                quitCount++;
+                return [200, null];
+            }
+        });
+        remoteUrl = await listen(server);
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('should refuse to start more than the maximum number of sessions', async () => {
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'buyer' });
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'seller' });
+
+        const text = await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'admin' });
+        assert.strictEqual(text, 'Error starting browser: Maximum of 2 concurrent browser sessions reached; close one with close_session first');
+
+        await callTool('close_session', { session_id: 'buyer' });
+        await callTool('close_session', { session_id: 'seller' });
+    });
+
+    it('should report last activity in the browser-status resource', async () => {
+        const { handler } = await import('../src/lib/lambda.js');
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'status' });
+
+        const event = {
+            httpMethod: 'POST',
+            path: '/message',
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'resources/read',
+                params: {
+                    uri: 'browser-status://current'
+                }
+            })
+        };
+
+        const result = await handler(event, {});
+        const text = JSON.parse(result.body).result.contents[0].text;
+
+        assert.ok(text.includes('Active browser session: status'));
+        assert.match(text, /status: last activity \d{4}-\d{2}-\d{2}T/);
+        assert.ok(text.includes('Idle sessions are closed after 0.5s'));
+
+        await callTool('close_session', { session_id: 'status' });
+    });
+
+    it('should close sessions without tool activity', async () => {
+        const quitsBefore = quitCount;
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'forgotten' });
+
+        await sleep(1500);
+
+        assert.strictEqual(await callTool('list_sessions', {}), 'No active browser sessions');
+        assert.strictEqual(quitCount, quitsBefore + 1);
+    });
+
+    it('should not close a session while a tool call is still running', async () => {
+        const quitsBefore = quitCount;
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'busy' });
+
+        const text = await callTool('wait_for', { condition: 'js_truthy', script: 'window.done', timeout: 1500, interval: 100 });
+
+        assert.strictEqual(text, 'Error waiting for condition: Timed out after 1500ms waiting for js_truthy; last observed: false');
+        assert.strictEqual(quitCount, quitsBefore);
+        assert.ok((await callTool('list_sessions', {})).includes('busy'));
+
+        await callTool('close_session', { session_id: 'busy' });
+    });
+
+    it('should not count list_sessions polls as activity on the current session', async () => {
+        const quitsBefore = quitCount;
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl }, session_id: 'polled' });
+
+        for (let polls = 0; polls < 10; polls++) {
+            await callTool('list_sessions', {});
+            await sleep(150);
+        }
+
+        assert.strictEqual(await callTool('list_sessions', {}), 'No active browser sessions');
+        assert.strictEqual(quitCount, quitsBefore + 1);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { createStubServer, listen, callTool, executeInWindow } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for the shadow-piercing css locator syntax ("host >>> inner >>> button"),
+ * using a stub WebDriver endpoint with two nested shadow roots. The actionability
+ * hit test runs against a jsdom copy of the same tree.
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+const SHADOW_KEY = 'shadow-6066-11e4-a52e-4f735466cecf';
+
+describe('Shadow DOM Locators', () => {
+    let server;
+    const searches = [];
+    const clicks = [];
+
+    // jsdom has no layout, so each elementFromPoint returns what a browser would find at the button's center
+    const { window } = new JSDOM('<checkout-app></checkout-app>', { runScripts: 'outside-only' });
+    const app = window.document.querySelector('checkout-app');
+    const appRoot = app.attachShadow({ mode: 'open' });
+    appRoot.innerHTML = '<pay-form></pay-form>';
+    const form = appRoot.querySelector('pay-form');
+    const formRoot = form.attachShadow({ mode: 'open' });
+    formRoot.innerHTML = '<button class="pay"><span>Pay</span></button>';
+    const label = formRoot.querySelector('span');
+    window.document.elementFromPoint = () => app;
+    appRoot.elementFromPoint = () => form;
+    formRoot.elementFromPoint = () => label;
+
+    const find = (scope, results) => (body) => {
+        searches.push(`${scope}: ${JSON.parse(body).value}`);
+        return [200, results[JSON.parse(body).value] || []];
+    };
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'shadow', capabilities: { browserName: 'chrome' } }],
+            'POST /session/shadow/elements': find('document', {
+                'checkout-app': [{ [ELEMENT_KEY]: 'app' }]
+            }),
+            'GET /session/shadow/element/app/shadow': () => [200, { [SHADOW_KEY]: 'app-root' }],
+            'POST /session/shadow/shadow/app-root/elements': find('app-root', {
+                'pay-form': [{ [ELEMENT_KEY]: 'form' }]
+            }),
+            'GET /session/shadow/element/form/shadow': () => [200, { [SHADOW_KEY]: 'form-root' }],
+            'POST /session/shadow/shadow/form-root/elements': find('form-root', {
+                'button.pay': [{ [ELEMENT_KEY]: 'pay-button' }]
+            }),
+            'POST /session/shadow/execute/sync': (body) => {
+                if (JSON.parse(body).script.includes('elementFromPoint')) {
+                    return executeInWindow(window, body, { 'pay-button': formRoot.querySelector('button') });
+                }
+                return [200, true];
+            },
+            'GET /session/shadow/element/pay-button/enabled': () => [200, true],
+            'GET /session/shadow/element/pay-button/rect': () => [200, { x: 10, y: 20, width: 80, height: 30 }],
+            'POST /session/shadow/element/pay-button/click': () => {
+                clicks.push('pay-button');
+                return [200, null];
+            },
+            'DELETE /session/shadow': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should resolve each hop through the shadow root of the previous match', async () => {
+        const text = await callTool('click_element', {
+            by: 'css',
+            value: 'checkout-app >>> pay-form >>> button.pay'
+        });
+
+        assert.strictEqual(text, 'Element clicked');
+        assert.deepStrictEqual(searches, [
+            'document: checkout-app',
+            'app-root: pay-form',
+            'form-root: button.pay'
+        ]);
+        assert.deepStrictEqual(clicks, ['pay-button']);
+    });
+
+    it('should keep waiting when a hop matches nothing', async () => {
+        const text = await callTool('find_element', {
+            by: 'css',
+            value: 'checkout-app >>> missing-form >>> button',
+            timeout: 100
+        });
+
+        assert.ok(text.startsWith('Error finding element:'));
+    });
+});
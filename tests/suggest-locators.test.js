@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { createStubServer, listen, callTool, executeInWindow } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for suggest_locators, against a stub WebDriver endpoint that plays
+ * the in-browser ranking script, and with the ranking script run against a jsdom page
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('suggest_locators Tool', () => {
+    let server;
+    const scripts = [];
+    const suggestions = [
+        { by: 'test_id', value: 'buy', matches: 1, unique: true },
+        { by: 'role', value: 'button:Buy now', matches: 1, unique: true },
+        { by: 'css', value: 'button.btn-primary', matches: 1, unique: true },
+        { by: 'xpath', value: "//button[normalize-space(.)='Buy now']", matches: 2, unique: false }
+    ];
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'sug', capabilities: { browserName: 'chrome' } }],
+            'POST /session/sug/elements': () => [200, [{ [ELEMENT_KEY]: 'buy' }]],
+            'POST /session/sug/execute/sync': (body) => {
+                scripts.push(JSON.parse(body));
+                return [200, suggestions];
+            },
+            'GET /session/sug/element/buy/name': () => [200, 'button'],
+            'DELETE /session/sug': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should return the ranked suggestions with their match counts', async () => {
+        const text = await callTool('suggest_locators', { by: 'xpath', value: '/html/body/div[3]/ul/li[1]/button', timeout: 100 });
+        assert.deepStrictEqual(JSON.parse(text), suggestions);
+    });
+
+    it('should rank in the browser with the role finder available', async () => {
+        const { script, args } = scripts.at(-1);
+        assert.ok(script.includes('function findByRole'));
+        assert.ok(script.includes('function suggestLocators'));
+        assert.strictEqual(args[0][ELEMENT_KEY], 'buy');
+        assert.strictEqual(args[1], 'data-testid');
+    });
+
+    it('should accept an element_ref', async () => {
+        const found = await callTool('find_element', { by: 'css', value: 'button', timeout: 100 });
+        const ref = found.match(/element_ref: (e\d+)/)[1];
+        const text = await callTool('suggest_locators', { element_ref: ref, timeout: 100 });
+        assert.strictEqual(JSON.parse(text)[0].by, 'test_id');
+    });
+});
+
+describe('suggest_locators Ranking', () => {
+    let server;
+
+    const suggest = async (id) => JSON.parse(await callTool('suggest_locators', { by: 'id', value: id, timeout: 100 }));
+    const indexOf = (suggestions, by, value) => suggestions.findIndex(s => s.by === by && s.value === value);
+
+    before(async () => {
+        const { window } = new JSDOM(`
+            <h1>Welcome back</h1>
+            <form>
+                <input id="email" name="email">
+                <input id="search" type="search">
+                <button class="btn primary">Buy now</button>
+                <button class="btn">Cancel</button>
+            </form>`, { runScripts: 'outside-only' });
+        // jsdom has no CSS.escape; this covers the identifiers and attribute values in the fixture
+        window.CSS = { escape: value => value.replace(/[^\w-]/g, character => `\\${character}`) };
+        const { document } = window;
+        const elements = {
+            title: document.querySelector('h1'),
+            email: document.getElementById('email'),
+            search: document.getElementById('search'),
+            buy: document.querySelector('.primary')
+        };
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'rank', capabilities: { browserName: 'chrome' } }],
+            'POST /session/rank/elements': (body) => {
+                const id = JSON.parse(body).value.match(/id="(.+?)"|#(.+)/).slice(1).find(Boolean);
+                return [200, elements[id] ? [{ [ELEMENT_KEY]: id }] : []];
+            },
+            'POST /session/rank/execute/sync': (body) => executeInWindow(window, body, elements),
+            'DELETE /session/rank': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should prefer class- and attribute-qualified css over a bare tag', async () => {
+        const buy = await suggest('buy');
+        assert.ok(indexOf(buy, 'css', 'button.primary') !== -1);
+        assert.strictEqual(buy.filter(s => s.by === 'css').length, 1);
+
+        const search = await suggest('search');
+        assert.deepStrictEqual(search.find(s => s.by === 'css'), { by: 'css', value: 'input[type="search"]', matches: 1, unique: true });
+    });
+
+    it('should rank a bare tag last, below the text xpath', async () => {
+        const title = await suggest('title');
+        const xpath = indexOf(title, 'xpath', "//h1[normalize-space(.)='Welcome back']");
+        const css = indexOf(title, 'css', 'h1');
+        assert.ok(xpath !== -1 && css > xpath);
+        assert.strictEqual(css, title.length - 1);
+
+        const email = await suggest('email');
+        assert.deepStrictEqual(email.slice(0, 2).map(s => s.by), ['id', 'name']);
+        assert.strictEqual(email.at(-1).by, 'css');
+    });
+});
@@ -29,19 +29,32 @@ describe('Tool Handlers', () => {
             // Browser management tools
             assert.ok(toolNames.includes('start_browser'));
             assert.ok(toolNames.includes('navigate'));
+            assert.ok(toolNames.includes('get_page_content'));
             assert.ok(toolNames.includes('close_session'));
 
             // Element interaction tools
             assert.ok(toolNames.includes('find_element'));
+            assert.ok(toolNames.includes('find_elements'));
+            assert.ok(toolNames.includes('suggest_locators'));
             assert.ok(toolNames.includes('click_element'));
             assert.ok(toolNames.includes('send_keys'));
+            assert.ok(toolNames.includes('select_option'));
+            assert.ok(toolNames.includes('set_checkbox'));
+            assert.ok(toolNames.includes('fill_form'));
             assert.ok(toolNames.includes('get_element_text'));
+            assert.ok(toolNames.includes('get_element_attribute'));
+            assert.ok(toolNames.includes('get_element_property'));
+            assert.ok(toolNames.includes('get_css_value'));
+            assert.ok(toolNames.includes('get_element_rect'));
+            assert.ok(toolNames.includes('inspect_element'));
 
             // Mouse interaction tools
             assert.ok(toolNames.includes('hover'));
             assert.ok(toolNames.includes('drag_and_drop'));
             assert.ok(toolNames.includes('double_click'));
             assert.ok(toolNames.includes('right_click'));
+            assert.ok(toolNames.includes('click_at'));
+            assert.ok(toolNames.includes('perform_actions'));
 
             // Keyboard and file tools
             assert.ok(toolNames.includes('press_key'));
@@ -49,9 +62,18 @@ describe('Tool Handlers', () => {
 
             // Screenshot tool
             assert.ok(toolNames.includes('take_screenshot'));
+
+            // Scrolling tools
+            assert.ok(toolNames.includes('scroll_to_element'));
+            assert.ok(toolNames.includes('scroll_by'));
+            assert.ok(toolNames.includes('scroll_until'));
+
+            // Script tools
+            assert.ok(toolNames.includes('execute_script'));
+            assert.ok(toolNames.includes('execute_async_script'));
         });
 
-        it('should have exactly 14 tools', async () => {
+        it('should have exactly 53 tools', async () => {
             const { handler } = await import('../src/lib/lambda.js');
 
             const event = {
@@ -68,7 +90,7 @@ describe('Tool Handlers', () => {
             const result = await handler(event, {});
             const body = JSON.parse(result.body);
 
-            assert.strictEqual(body.result.tools.length, 14);
+            assert.strictEqual(body.result.tools.length, 53);
         });
     });
 
@@ -396,7 +418,16 @@ describe('Tool Handlers', () => {
             const body = JSON.parse(result.body);
             const toolNames = body.result.tools.map(t => t.name);
 
-            const browserTools = ['start_browser', 'navigate', 'close_session'];
+            const browserTools = [
+                'start_browser',
+                'navigate',
+                'go_back',
+                'go_forward',
+                'refresh',
+                'get_page_info',
+                'get_page_content',
+                'close_session'
+            ];
             for (const tool of browserTools) {
                 assert.ok(toolNames.includes(tool));
             }
@@ -422,9 +453,19 @@ describe('Tool Handlers', () => {
 
             const elementTools = [
                 'find_element',
+                'find_elements',
+                'suggest_locators',
                 'click_element',
                 'send_keys',
-                'get_element_text'
+                'select_option',
+                'set_checkbox',
+                'fill_form',
+                'get_element_text',
+                'get_element_attribute',
+                'get_element_property',
+                'get_css_value',
+                'get_element_rect',
+                'inspect_element'
             ];
             for (const tool of elementTools) {
                 assert.ok(toolNames.includes(tool));
@@ -453,11 +494,129 @@ describe('Tool Handlers', () => {
                 'hover',
                 'drag_and_drop',
                 'double_click',
-                'right_click'
+                'right_click',
+                'click_at',
+                'perform_actions'
             ];
             for (const tool of mouseTools) {
                 assert.ok(toolNames.includes(tool));
             }
         });
     });
+
+    describe('Session Management Tools', () => {
+        it('should have list_sessions and switch_session tools', async () => {
+            const { handler } = await import('../src/lib/lambda.js');
+
+            const event = {
+                httpMethod: 'POST',
+                path: '/message',
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'tools/list',
+                    params: {}
+                })
+            };
+
+            const result = await handler(event, {});
+            const body = JSON.parse(result.body);
+            const toolNames = body.result.tools.map(t => t.name);
+
+            assert.ok(toolNames.includes('list_sessions'));
+            assert.ok(toolNames.includes('switch_session'));
+        });
+
+        it('should accept session_id on every browser tool', async () => {
+            const { handler } = await import('../src/lib/lambda.js');
+
+            const event = {
+                httpMethod: 'POST',
+                path: '/message',
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'tools/list',
+                    params: {}
+                })
+            };
+
+            const result = await handler(event, {});
+            const body = JSON.parse(result.body);
+
+            for (const tool of body.result.tools) {
+                if (tool.name === 'list_sessions') continue;
+                assert.ok(tool.inputSchema.properties.session_id, `${tool.name} should accept session_id`);
+            }
+        });
+
+        it('should report no sessions when none are open', async () => {
+            const { handler } = await import('../src/lib/lambda.js');
+
+            const event = {
+                httpMethod: 'POST',
+                path: '/message',
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'tools/call',
+                    params: {
+                        name: 'list_sessions',
+                        arguments: {}
+                    }
+                })
+            };
+
+            const result = await handler(event, {});
+            const body = JSON.parse(result.body);
+
+            assert.strictEqual(body.result.content[0].text, 'No active browser sessions');
+        });
+
+        it('should return error when switching to an unknown session', async () => {
+            const { handler } = await import('../src/lib/lambda.js');
+
+            const event = {
+                httpMethod: 'POST',
+                path: '/message',
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'tools/call',
+                    params: {
+                        name: 'switch_session',
+                        arguments: { session_id: 'buyer' }
+                    }
+                })
+            };
+
+            const result = await handler(event, {});
+            const body = JSON.parse(result.body);
+
+            assert.strictEqual(body.result.content[0].text, 'Error switching session: Browser session buyer not found');
+        });
+
+        it('should return error when a tool targets an unknown session', async () => {
+            const { handler } = await import('../src/lib/lambda.js');
+
+            const event = {
+                httpMethod: 'POST',
+                path: '/message',
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'tools/call',
+                    params: {
+                        name: 'close_session',
+                        arguments: { session_id: 'seller' }
+                    }
+                })
+            };
+
+            const result = await handler(event, {});
+            const body = JSON.parse(result.body);
+
+            assert.strictEqual(body.result.content[0].text, 'Error closing session: Browser session seller not found');
+        });
+    });
 });
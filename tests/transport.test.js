@@ -219,8 +219,8 @@ describe('StreamableHTTPTransport', () => {
             const result = await handler(event, {});
             const body = JSON.parse(result.body);
 
-            // Should have 14 tools
-            assert.strictEqual(body.result.tools.length, 14);
+            // Should have 53 tools
+            assert.strictEqual(body.result.tools.length, 53);
 
             // Verify each tool has required fields
             for (const tool of body.result.tools) {
@@ -0,0 +1,77 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { Key } from 'selenium-webdriver';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for send_keys modes, key tokens and per-keystroke delay, recording the
+ * element commands sent to a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('send_keys Typing', () => {
+    let server;
+    let commands = [];
+
+    const type = async (args) => {
+        commands = [];
+        const text = await callTool('send_keys', { by: 'id', value: 'search', force: true, timeout: 100, ...args });
+        assert.ok(text.startsWith('Text '), text);
+        return commands;
+    };
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'typing', capabilities: { browserName: 'chrome', platformName: 'linux' } }],
+            'POST /session/typing/elements': () => [200, [{ [ELEMENT_KEY]: 'search' }]],
+            'POST /session/typing/element/search/clear': () => {
+                commands.push({ clear: true, at: Date.now() });
+                return [200, null];
+            },
+            'POST /session/typing/element/search/value': (body) => {
+                commands.push({ text: JSON.parse(body).text, at: Date.now() });
+                return [200, null];
+            },
+            'DELETE /session/typing': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should clear the field before typing by default', async () => {
+        const sent = await type({ text: 'laptop' });
+        assert.deepStrictEqual(sent.map(({ at, ...command }) => command), [{ clear: true }, { text: 'laptop' }]);
+    });
+
+    it('should keep the content in append mode', async () => {
+        const sent = await type({ text: ' bag', mode: 'append' });
+        assert.deepStrictEqual(sent.map(c => c.text), [' bag']);
+    });
+
+    it('should clear with select-all and backspace in select_all mode', async () => {
+        const sent = await type({ text: 'desk', mode: 'select_all' });
+        assert.deepStrictEqual(sent.map(c => c.text), [Key.chord(Key.CONTROL, 'a') + Key.BACK_SPACE, 'desk']);
+    });
+
+    it('should turn tokens into keys and chords', async () => {
+        const sent = await type({ text: 'abc{Ctrl+A}{Backspace}x{shift+tab}{enter}', mode: 'append' });
+        assert.strictEqual(sent[0].text, `abc${Key.chord(Key.CONTROL, 'a')}${Key.BACK_SPACE}x${Key.chord(Key.SHIFT, Key.TAB)}${Key.ENTER}`);
+    });
+
+    it('should type braces that do not hold a key name as they are', async () => {
+        const sent = await type({ text: '{"id": 1} {x} {Ctrl+Nope}', mode: 'append' });
+        assert.strictEqual(sent[0].text, '{"id": 1} {x} {Ctrl+Nope}');
+    });
+
+    it('should send one keystroke at a time with a delay', async () => {
+        const sent = await type({ text: 'ab{Enter}', mode: 'append', delay: 50 });
+        assert.deepStrictEqual(sent.map(c => c.text), ['a', 'b', Key.ENTER]);
+        assert.ok(sent[2].at - sent[0].at >= 90);
+    });
+});
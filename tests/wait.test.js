@@ -0,0 +1,77 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for the wait_for tool against a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('wait_for Tool', () => {
+    let server;
+    let titlePolls = 0;
+    let bannerDisplayed = false;
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'wait', capabilities: { browserName: 'chrome' } }],
+            'GET /session/wait/title': () => {
+                titlePolls++;
+                return [200, titlePolls < 3 ? 'Loading...' : 'Order confirmed'];
+            },
+            'GET /session/wait/url': () => [200, 'https://example.com/checkout'],
+            'POST /session/wait/elements': () => [200, [{ [ELEMENT_KEY]: 'banner' }]],
+            'POST /session/wait/execute/sync': (body) => {
+                const { script } = JSON.parse(body);
+                if (script.startsWith('return (')) {
+                    return [200, 0];
+                }
+                // isDisplayed() runs the is-displayed atom through execute/sync
+                return [200, bannerDisplayed];
+            },
+            'DELETE /session/wait': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should poll until the title contains the text', async () => {
+        const text = await callTool('wait_for', { condition: 'title_contains', text: 'confirmed', interval: 10 });
+
+        assert.strictEqual(text, 'Condition title_contains met: "Order confirmed"');
+        assert.strictEqual(titlePolls, 3);
+    });
+
+    it('should report the condition and last observed value on timeout', async () => {
+        const text = await callTool('wait_for', { condition: 'url_matches', pattern: '/thank-you$', timeout: 50, interval: 10 });
+
+        assert.strictEqual(text, 'Error waiting for condition: Timed out after 50ms waiting for url_matches; last observed: https://example.com/checkout');
+    });
+
+    it('should report the last value of a JS expression on timeout', async () => {
+        const text = await callTool('wait_for', { condition: 'js_truthy', script: 'window.pendingRequests', timeout: 50, interval: 10 });
+
+        assert.ok(text.endsWith('waiting for js_truthy; last observed: 0'));
+    });
+
+    it('should distinguish visible and hidden elements', async () => {
+        const hidden = await callTool('wait_for', { condition: 'hidden', by: 'id', value: 'banner', timeout: 50 });
+        assert.strictEqual(hidden, 'Condition hidden met: present but not displayed');
+
+        bannerDisplayed = true;
+        const visible = await callTool('wait_for', { condition: 'visible', by: 'id', value: 'banner', timeout: 50 });
+        assert.strictEqual(visible, 'Condition visible met: displayed');
+    });
+
+    it('should require a locator for element conditions', async () => {
+        const text = await callTool('wait_for', { condition: 'enabled' });
+
+        assert.strictEqual(text, 'Error waiting for condition: Condition enabled requires by and value, or element_ref');
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createStubServer, listen, callTool } from './helpers/webdriver-stub.js';
+
+/**
+ * Tests for window and tab management tools against a stub WebDriver endpoint
+ */
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+describe('Window Management Tools', () => {
+    let server;
+    const windows = new Map([['main', { title: 'Shop', url: 'https://shop.example.com/' }]]);
+    let current = 'main';
+    let nextId = 1;
+
+    const openWindow = (window) => {
+        const handle = `w${nextId++}`;
+        windows.set(handle, window);
+        return handle;
+    };
+
+    before(async () => {
+        server = createStubServer({
+            'POST /session': () => [200, { sessionId: 'win', capabilities: { browserName: 'chrome' } }],
+            'GET /session/win/window/handles': () => [200, Array.from(windows.keys())],
+            'GET /session/win/window': () => [200, current],
+            'POST /session/win/window': (body) => {
+                current = JSON.parse(body).handle;
+                return [200, null];
+            },
+            'POST /session/win/window/new': (body) => {
+                const handle = openWindow({ title: '', url: 'about:blank' });
+                return [200, { handle, type: JSON.parse(body).type }];
+            },
+            'DELETE /session/win/window': () => {
+                windows.delete(current);
+                return [200, Array.from(windows.keys())];
+            },
+            'GET /session/win/title': () => [200, windows.get(current).title],
+            'GET /session/win/url': () => [200, windows.get(current).url],
+            'POST /session/win/url': (body) => {
+                windows.get(current).url = JSON.parse(body).url;
+                return [200, null];
+            },
+            'POST /session/win/elements': () => [200, [{ [ELEMENT_KEY]: 'login-link' }]],
+            'POST /session/win/element/login-link/click': () => {
+                openWindow({ title: 'Sign in', url: 'https://auth.example.com/oauth' });
+                return [200, null];
+            },
+            'DELETE /session/win': () => [200, null]
+        });
+        const remoteUrl = await listen(server);
+        await callTool('start_browser', { browser: 'chrome', options: { remoteUrl } });
+    });
+
+    after(async () => {
+        await callTool('close_session', {});
+        server.close();
+    });
+
+    it('should click and return the handle of the popup it opened', async () => {
+        const text = await callTool('wait_for_new_window', { by: 'id', value: 'login', timeout: 1000 });
+
+        assert.strictEqual(text, 'New window opened: w1 (switched to it)');
+        assert.strictEqual(current, 'w1');
+    });
+
+    it('should list windows with titles and URLs', async () => {
+        const listed = JSON.parse(await callTool('list_windows', {}));
+
+        assert.deepStrictEqual(listed, [
+            { handle: 'main', title: 'Shop', url: 'https://shop.example.com/', current: false },
+            { handle: 'w1', title: 'Sign in', url: 'https://auth.example.com/oauth', current: true }
+        ]);
+        assert.strictEqual(current, 'w1');
+    });
+
+    it('should switch windows by title and URL pattern', async () => {
+        assert.strictEqual(
+            await callTool('switch_to_window', { title: 'Shop' }),
+            'Switched to window main (Shop - https://shop.example.com/)'
+        );
+        assert.strictEqual(
+            await callTool('switch_to_window', { url: 'auth\\.example\\.com' }),
+            'Switched to window w1 (Sign in - https://auth.example.com/oauth)'
+        );
+        assert.strictEqual(
+            await callTool('switch_to_window', { title: 'Checkout' }),
+            'Error switching window: No window matches title "Checkout"'
+        );
+    });
+
+    it('should open a new tab and close it again', async () => {
+        assert.strictEqual(
+            await callTool('new_window', { url: 'https://shop.example.com/help' }),
+            'Opened new tab w2 at https://shop.example.com/help'
+        );
+        assert.strictEqual(await callTool('close_window', {}), 'Closed window w2; switched to w1');
+        assert.strictEqual(await callTool('close_window', {}), 'Closed window w1; switched to main');
+        assert.strictEqual(
+            await callTool('close_window', {}),
+            'Error closing window: This is the last window of the session; use close_session instead'
+        );
+    });
+
+    it('should time out when no window opens', async () => {
+        await callTool('list_windows', {});
+
+        const text = await callTool('wait_for_new_window', { timeout: 100 });
+
+        assert.strictEqual(text, 'Error waiting for new window: No new window opened within 100ms');
+    });
+});